@@ -24,10 +24,17 @@ public class ApiServer : IDisposable
     private readonly TrackerDb _db;
     private readonly AuthService _authService;
     private readonly CancellationTokenSource _cts;
-    private readonly List<WebSocket> _liveClients = new();
+    // Each socket maps to its own send lock: a WebSocket allows one SendAsync at a time and broadcasts and pongs
+    // come from different threads, but a slow client must only ever hold up its own sends
+    private readonly Dictionary<WebSocket, SemaphoreSlim> _liveClients = new();
     private readonly object _clientsLock = new();
     private Task? _listenTask;
 
+    // /ws/live messages are { v, type, data }; bump when a message shape changes. Must match LIVE_PROTOCOL_VERSION in api.js
+    public const int LiveProtocolVersion = 2;
+    private static readonly string[] AllRefreshScopes = { "history", "analytics", "goals", "profile" };
+    private static readonly JsonSerializerOptions LiveJsonOptions = new() { PropertyNamingPolicy = JsonNamingPolicy.CamelCase };
+
     public int Port { get; }
 
     public ApiServer(TrackerDb db, int port = 5173)
@@ -155,7 +162,7 @@ public class ApiServer : IDisposable
                         if (payload.TryGetValue("hits", out var gh)) SettingsManager.Current.GoalHits = TryGetInt(gh);
                         if (payload.TryGetValue("stars", out var gs)) SettingsManager.Current.GoalStars = TryGetDouble(gs);
                         if (payload.TryGetValue("pp", out var gpp)) SettingsManager.Current.GoalPP = TryGetInt(gpp);
-                        SettingsManager.Save(); await BroadcastRefresh(); await SendJson(response, new { success = true });
+                        SettingsManager.Save(); await BroadcastRefresh("goals"); await SendJson(response, new { success = true });
                     } else await SendJson(response, new { error = "Invalid payload" }, 400);
                 }
                 break;
@@ -163,11 +170,13 @@ public class ApiServer : IDisposable
             case "/api/import/lazer": 
             {
                 if (method == "POST") { 
+                    await BroadcastEvent("import_progress", new { source = "lazer", phase = "started" });
                     var (added, skipped, error) = await new LazerImportService(_db).ImportScoresAsync(SettingsManager.Current.LazerPath, SettingsManager.Current.Username); 
-                    if (error != null) await SendJson(response, new { success = false, message = error }, 400); 
+                    if (error != null) { await BroadcastEvent("import_progress", new { source = "lazer", phase = "failed", message = error }); await SendJson(response, new { success = false, message = error }, 400); }
                     else { 
                         try { await _db.MigrateAsync(); } catch { }
                         TrackerService.TriggerSync();
+                        await BroadcastEvent("import_progress", new { source = "lazer", phase = "completed", added, skipped });
                         await BroadcastRefresh(); 
                         await SendJson(response, new { success = true, count = added, skipped }); 
                     } 
@@ -177,11 +186,13 @@ public class ApiServer : IDisposable
             case "/api/import/stable": 
             {
                 if (method == "POST") { 
+                    await BroadcastEvent("import_progress", new { source = "stable", phase = "started" });
                     var (added, skipped, error) = await new OsuStableImportService(_db).ImportScoresAsync(SettingsManager.Current.StablePath, SettingsManager.Current.Username, context.Request.QueryString["aliases"]); 
-                    if (!string.IsNullOrEmpty(error)) await SendJson(response, new { success = false, message = error }, 400); 
+                    if (!string.IsNullOrEmpty(error)) { await BroadcastEvent("import_progress", new { source = "stable", phase = "failed", message = error }); await SendJson(response, new { success = false, message = error }, 400); }
                     else { 
                         try { await _db.MigrateAsync(); } catch { }
                         TrackerService.TriggerSync();
+                        await BroadcastEvent("import_progress", new { source = "stable", phase = "completed", added, skipped });
                         await BroadcastRefresh(); 
                         await SendJson(response, new { success = true, count = added, skipped }); 
                     } 
@@ -660,11 +671,18 @@ public class ApiServer : IDisposable
     private async Task ServeBackground(HttpListenerContext context, string id) { var lP = SettingsManager.Current.LazerPath ?? Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData), "osu"); var p = Path.Combine(lP, "files", id.Substring(0, 1), id.Substring(0, 2), id); if (File.Exists(p)) { context.Response.ContentType = GetContentType(Path.GetExtension(p).ToLowerInvariant()); var buf = await File.ReadAllBytesAsync(p); await context.Response.OutputStream.WriteAsync(buf, 0, buf.Length); context.Response.Close(); } else await SendJson(context.Response, new { error = "Not found" }, 404); }
 
     private string? ExtractReplayFromLazer(string h, long t) { try { var lP = SettingsManager.Current.LazerPath ?? LazerImportService.AutoDetectLazerPath(); var sP = Path.Combine(lP ?? "", "files", h.Substring(0, 1), h.Substring(0, 2), h); if (File.Exists(sP)) { var rD = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "Resources", "rewind", "Replays"); Directory.CreateDirectory(rD); string dP = Path.Combine(rD, $"{t}_{h}.osr"); if (!File.Exists(dP)) File.Copy(sP, dP, true); return dP; } } catch { } return null; }
-    private async Task HandleWebSocket(HttpListenerContext context) { var ws = (await context.AcceptWebSocketAsync(null)).WebSocket; lock (_clientsLock) _liveClients.Add(ws); try { while (ws.State == WebSocketState.Open) await ws.ReceiveAsync(new ArraySegment<byte>(new byte[1024]), _cts.Token); } finally { lock (_clientsLock) _liveClients.Remove(ws); } }
-    public async Task BroadcastRefresh() => await Broadcast(JsonSerializer.Serialize(new { type = "refresh" }));
-    public async Task BroadcastLiveData(object data) => await Broadcast(JsonSerializer.Serialize(new { type = "live", data }, new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase }));
-    public async Task BroadcastLog(string message, string level = "info") => await Broadcast(JsonSerializer.Serialize(new { type = "log", message, level }));
-    private async Task Broadcast(string payload) { var bytes = Encoding.UTF8.GetBytes(payload); WebSocket[] clients; lock (_clientsLock) clients = _liveClients.Where(c => c.State == WebSocketState.Open).ToArray(); foreach (var c in clients) try { await c.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, CancellationToken.None); } catch { } }
+    // The hello goes out before the socket joins _liveClients so no broadcast can interleave with it
+    private async Task HandleWebSocket(HttpListenerContext context) { var ws = (await context.AcceptWebSocketAsync(null)).WebSocket; var sendLock = new SemaphoreSlim(1, 1); await SendLive(ws, sendLock, LiveMessage("hello", new { protocol = LiveProtocolVersion, app = UpdateService.CurrentVersion })); lock (_clientsLock) _liveClients.Add(ws, sendLock); try { await ReceiveLive(ws, sendLock); } finally { lock (_clientsLock) _liveClients.Remove(ws); } }
+    // Clients send { type: "ping" } heartbeats to detect half-open sockets; echo each back as a pong
+    private async Task ReceiveLive(WebSocket ws, SemaphoreSlim sendLock) { var buffer = new byte[1024]; while (ws.State == WebSocketState.Open) { var result = await ws.ReceiveAsync(new ArraySegment<byte>(buffer), _cts.Token); if (result.MessageType != WebSocketMessageType.Text || !result.EndOfMessage) continue; try { using var doc = JsonDocument.Parse(buffer.AsMemory(0, result.Count)); if (doc.RootElement.TryGetProperty("type", out var type) && type.GetString() == "ping") await SendLive(ws, sendLock, LiveMessage("pong", doc.RootElement.TryGetProperty("data", out var data) ? (object?)data.Clone() : null)); } catch (JsonException) { } } }
+    private async Task SendLive(WebSocket ws, SemaphoreSlim sendLock, string payload) { var bytes = Encoding.UTF8.GetBytes(payload); await sendLock.WaitAsync(); try { if (ws.State == WebSocketState.Open) await ws.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, CancellationToken.None); } finally { sendLock.Release(); } }
+    private static string LiveMessage(string type, object? data) => JsonSerializer.Serialize(new { v = LiveProtocolVersion, type, data }, LiveJsonOptions);
+    public async Task BroadcastEvent(string type, object? data = null) => await Broadcast(LiveMessage(type, data ?? new { }));
+    public async Task BroadcastRefresh(params string[] scopes) => await BroadcastEvent("refresh", new { scopes = scopes.Length > 0 ? scopes : AllRefreshScopes });
+    public async Task BroadcastLiveData(object data) => await BroadcastEvent("live", data);
+    public async Task BroadcastLog(string message, string level = "info") => await BroadcastEvent("log", new { message, level });
+    // Clients are sent to concurrently so one stalled socket doesn't hold up delivery to the others
+    private async Task Broadcast(string payload) { KeyValuePair<WebSocket, SemaphoreSlim>[] clients; lock (_clientsLock) clients = _liveClients.Where(c => c.Key.State == WebSocketState.Open).ToArray(); await Task.WhenAll(clients.Select(async c => { try { await SendLive(c.Key, c.Value, payload); } catch { } })); }
     private int GetQueryInt(HttpListenerContext context, string key, int def) => int.TryParse(context.Request.QueryString[key], out var r) ? r : def;
     private int ExtractIdFromPath(string path, string prefix) { var rest = path.Substring(prefix.Length); var slash = rest.IndexOf('/'); return int.TryParse(slash >= 0 ? rest.Substring(0, slash) : rest, out var id) ? id : 0; }
     private string GetContentType(string ext) => ext switch { ".html" => "text/html", ".css" => "text/css", ".js" => "application/javascript", ".json" => "application/json", ".png" => "image/png", ".jpg" or ".jpeg" => "image/jpeg", ".ogg" => "audio/ogg", ".mp3" => "audio/mpeg", ".wav" => "audio/wav", ".osu" => "text/plain", ".osr" => "application/octet-stream", _ => "application/octet-stream" };
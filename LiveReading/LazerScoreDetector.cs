@@ -235,7 +235,8 @@ public class LazerScoreDetector
                 
                 long newId = await _db.InsertPlayAsync(row);
                 row.Id = newId;
-                await _api.BroadcastRefresh(); 
+                await _api.BroadcastEvent("score_saved", new { id = newId, passed = isPass, title = play.Title, version = play.Version });
+                await _api.BroadcastRefresh("history", "analytics", "goals"); 
 
                 // Goal Sound Logic
                 _ = GoalManager.CheckAndPlayGoalSound(_db, _soundPlayer);
@@ -278,7 +279,7 @@ public class LazerScoreDetector
                                 
                                 // Update the row in DB with detailed analysis (Tapping stats)
                                 await _db.UpdatePlayAsync(row);
-                                await _api.BroadcastRefresh(); // Refresh UI again for tapping stats
+                                await _api.BroadcastRefresh("history", "analytics"); // Refresh UI again for tapping stats
                                 DebugService.Log($"[LazerDetector] Background analysis successful! UR={row.UR:F2}, KeyRatio={row.KeyRatio:P1}, Hits={analysis.HitErrors.Count}", "Detector");
                             }
                             else
@@ -298,6 +299,7 @@ public class LazerScoreDetector
         });
 
         OnPlayRecorded?.Invoke(isPass);
+        _ = _api.BroadcastEvent("play_finished", new { passed = isPass, title = play.Title, artist = play.Artist, version = play.Version, score = play.Score, accuracy = play.Accuracy, pp = play.PP });
         if (isPass && SettingsManager.Current.PassSoundEnabled) _soundPlayer.PlayPass();
         else if (!isPass && SettingsManager.Current.FailSoundEnabled) _soundPlayer.PlayFail();
     }
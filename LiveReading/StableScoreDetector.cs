@@ -407,8 +407,9 @@ public class StableScoreDetector
                     };
                     await _db.InsertOrUpdateBeatmapAsync(beatmapRow);
                 }
-                await _db.InsertPlayAsync(row);
-                await _api.BroadcastRefresh();
+                long newId = await _db.InsertPlayAsync(row);
+                await _api.BroadcastEvent("score_saved", new { id = newId, passed = isPass, title = play.Title, version = play.Version });
+                await _api.BroadcastRefresh("history", "analytics", "goals");
 
                 _ = GoalManager.CheckAndPlayGoalSound(_db, _soundPlayer);
             }
@@ -416,6 +417,7 @@ public class StableScoreDetector
         });
 
         OnPlayRecorded?.Invoke(isPass);
+        _ = _api.BroadcastEvent("play_finished", new { passed = isPass, title = play.Title, artist = play.Artist, version = play.Version, score = play.Score, accuracy = play.Accuracy, pp = play.PP });
         if (isPass && SettingsManager.Current.PassSoundEnabled) _soundPlayer.PlayPass();
         else if (!isPass && SettingsManager.Current.FailSoundEnabled) _soundPlayer.PlayFail();
     }
@@ -54,12 +54,13 @@ class AnalyticsModule {
         if (this.loaded && !force) return;
 
         try {
-            const data = await window.api.fetch(`/api/analytics?days=${this.currentPeriod}`);
+            const data = await window.api.fetch(`/api/analytics?days=${this.currentPeriod}`, { signal: window.api.viewSignal('analytics') });
             this.rawData = data;
             this.updateStats(data);
             this.renderMainChart();
             this.loaded = true;
         } catch (error) {
+            if (error instanceof ApiAbortError) return;
             console.error('[Analytics] Failed to load:', error);
         }
     }
@@ -6,12 +6,144 @@
 const API_BASE = '';  // Same origin
 const WS_URL = `ws://${window.location.host}/ws/live`;
 
+// Version of the /ws/live message protocol this UI speaks; must match ApiServer.LiveProtocolVersion
+const LIVE_PROTOCOL_VERSION = 2;
+
+// Named events on the live bus. Server messages arrive as { v, type, data } and are emitted under `type`;
+// PROTOCOL_MISMATCH is raised locally when the backend speaks another protocol version, and RAW carries
+// every socket frame's text before parsing (for LiveRecorder).
+const LiveEvents = Object.freeze({
+    RAW: 'raw',
+    HELLO: 'hello',
+    LIVE: 'live',
+    LOG: 'log',
+    STATE_CHANGE: 'state_change',
+    PLAY_STARTED: 'play_started',
+    PLAY_FINISHED: 'play_finished',
+    SCORE_SAVED: 'score_saved',
+    IMPORT_PROGRESS: 'import_progress',
+    REFRESH: 'refresh',
+    PONG: 'pong',
+    PROTOCOL_MISMATCH: 'protocol_mismatch'
+});
+
+// What a `refresh` event without scopes (or from a v1 backend) invalidates, and what writes to the score database drop
+const REFRESH_SCOPES = ['history', 'analytics', 'goals', 'profile'];
+
+// Reconnect delay doubles per failed attempt up to the cap; each wait is jittered down to half so
+// several open windows don't hammer a restarting backend in lockstep
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// The client pings on an interval; a socket that has been silent for HEARTBEAT_TIMEOUT_MS is half-open
+const HEARTBEAT_INTERVAL_MS = 5000;
+const HEARTBEAT_TIMEOUT_MS = 15000;
+
+// Plays can be saved while the socket is down, so a reconnect reloads everything they feed
+const RESYNC_SCOPES = ['history', 'analytics', 'goals'];
+
+// REST calls abort after this long unless the call passes its own `timeout` (0 disables it)
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// GETs retry network errors and 5xx responses this many times, doubling the wait from RETRY_BASE_MS
+const GET_RETRIES = 2;
+const RETRY_BASE_MS = 300;
+
+// Read endpoints whose responses are reused for a while, by path (the query string is part of the cache key)
+const CACHE_TTLS = {
+    '/api/profile': 4000,
+    '/api/analytics': 15000
+};
+
+/** A failed REST call. `message` is the server's error when it sent one; `status` is 0 when no response arrived. */
+class ApiError extends Error {
+    constructor(message, { endpoint = '', status = 0, body = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.endpoint = endpoint;
+        this.status = status;
+        this.body = body;
+    }
+}
+
+class ApiTimeoutError extends ApiError {
+    constructor(endpoint, timeout) {
+        super(`${endpoint} timed out after ${timeout}ms`, { endpoint });
+        this.name = 'ApiTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// Thrown to callers whose AbortSignal fired, e.g. because they switched away from the view that asked
+class ApiAbortError extends ApiError {
+    constructor(endpoint) {
+        super(`${endpoint} was aborted`, { endpoint });
+        this.name = 'ApiAbortError';
+    }
+}
+
 class OsuGrindAPI {
     constructor() {
         this.ws = null;
         this.wsReconnectTimer = null;
-        this.liveCallbacks = [];
-        this.logCallbacks = [];
+        this.wsCountdownTimer = null;
+        this.wsHeartbeatTimer = null;
+        this.reconnectAttempts = 0;
+        this.lastMessageAt = 0;
+        // True once a socket has opened, so later opens are reconnects that need a resync
+        this.hasConnected = false;
+
+        // endpoint -> { promise, controller, waiters } for GETs in flight, and endpoint -> { data, expires }
+        this.inFlight = new Map();
+        this.cache = new Map();
+        // Bumped on invalidation so a response that was already in flight isn't cached as fresh
+        this.cacheGeneration = 0;
+        this.viewControllers = new Map();
+
+        this.listeners = new Map();
+        // Set by the backend's hello; null until the handshake completes
+        this.protocolVersion = null;
+        this.backendVersion = null;
+        this.protocolMismatch = false;
+        // While LiveRecorder replays a recording, socket frames are dropped so the two streams don't interleave
+        this.replaying = false;
+
+        // Server-side changes make cached reads stale; this runs before the views re-fetch
+        this.on(LiveEvents.REFRESH, ({ scopes }) => scopes.forEach(scope => this.invalidate(`/api/${scope}`)));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Live Event Bus
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /** Subscribes to a LiveEvents type; returns a function that unsubscribes. */
+    on(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.listeners.get(type)?.delete(handler);
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, (data) => {
+            unsubscribe();
+            handler(data);
+        });
+        return unsubscribe;
+    }
+
+    emit(type, data) {
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of [...(this.listeners.get(type) || [])]) {
+            try {
+                handler(data);
+            } catch (e) {
+                console.error(`[WS] ${type} handler failed:`, e);
+            }
+        }
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -19,73 +151,180 @@ class OsuGrindAPI {
     // ═══════════════════════════════════════════════════════════════════════
 
     connectLive() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) return;
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) return;
 
-        this.ws = new WebSocket(WS_URL);
+        const ws = new WebSocket(WS_URL);
+        this.ws = ws;
 
-        this.ws.onopen = () => {
+        ws.onopen = () => {
             console.log('[WS] Connected');
+            this.protocolVersion = null;
+            this.protocolMismatch = false;
+            this.reconnectAttempts = 0;
+            this.clearReconnect();
             this.updateConnectionStatus('connecting'); // Show yellow light initially
-            if (this.wsReconnectTimer) {
-                clearTimeout(this.wsReconnectTimer);
-                this.wsReconnectTimer = null;
-            }
+            this.startHeartbeat();
+
             // Trigger top plays refresh on connect
             window.liveModule?.fetchTopPlays();
+            if (this.hasConnected) {
+                console.log('[WS] Reconnected, resyncing');
+                this.dispatch(LiveEvents.REFRESH, { scopes: RESYNC_SCOPES, reason: 'reconnect' });
+            }
+            this.hasConnected = true;
         };
 
-
-        this.ws.onmessage = (event) => {
-            try {
-                const payload = JSON.parse(event.data);
-                if (payload.type === 'live') {
-                    const data = payload.data;
-                    if (data.connectionStatus) {
-                        this.updateConnectionStatus(data.connectionStatus, data.gameName);
-                    }
-                    this.liveCallbacks.forEach(cb => cb(data));
-                } else if (payload.type === 'log') {
-
-                    this.logCallbacks.forEach(cb => cb(payload.message, payload.level));
-                } else {
-                    // Backwards compatibility for old raw data if any
-                    this.liveCallbacks.forEach(cb => cb(payload));
-                }
-            } catch (e) {
-                console.error('[WS] Parse error:', e);
-            }
+        ws.onmessage = (event) => {
+            if (this.ws !== ws) return;
+            this.lastMessageAt = Date.now();
+            this.emit(LiveEvents.RAW, event.data);
+            if (!this.replaying) this.receive(event.data);
         };
 
-        this.ws.onclose = () => {
+        ws.onclose = () => {
+            // A socket dropped by the heartbeat has already been replaced
+            if (this.ws !== ws) return;
             console.log('[WS] Disconnected');
+            this.ws = null;
+            this.stopHeartbeat();
             this.updateConnectionStatus('disconnected');
             this.scheduleReconnect();
         };
 
-        this.ws.onerror = (error) => {
+        ws.onerror = (error) => {
             console.error('[WS] Error:', error);
             this.updateConnectionStatus('error');
         };
     }
 
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.lastMessageAt = Date.now();
+        this.wsHeartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > HEARTBEAT_TIMEOUT_MS) {
+                console.warn(`[WS] No messages for ${HEARTBEAT_TIMEOUT_MS / 1000}s, dropping half-open socket`);
+                this.dropSocket();
+                return;
+            }
+            try {
+                this.ws?.send(JSON.stringify({ v: LIVE_PROTOCOL_VERSION, type: 'ping', data: { t: Date.now() } }));
+            } catch (e) {
+                console.error('[WS] Ping failed:', e);
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    stopHeartbeat() {
+        if (this.wsHeartbeatTimer) {
+            clearInterval(this.wsHeartbeatTimer);
+            this.wsHeartbeatTimer = null;
+        }
+    }
+
+    // close() on a half-open socket waits for a close handshake that never comes, so don't wait for onclose
+    dropSocket() {
+        const ws = this.ws;
+        this.ws = null;
+        this.stopHeartbeat();
+        try {
+            ws?.close();
+        } catch (e) { }
+        this.updateConnectionStatus('disconnected');
+        this.scheduleReconnect();
+    }
+
+    /** Parses one raw frame and dispatches it; replays feed recorded frames through here too. */
+    receive(raw) {
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (e) {
+            console.error('[WS] Parse error:', e);
+            return;
+        }
+        this.handleMessage(payload);
+    }
+
+    handleMessage(payload) {
+        if (!payload || typeof payload !== 'object') return;
+
+        // v1 backends send unversioned { type: 'live' | 'log' | 'refresh' } messages and no hello
+        if (payload.v === undefined) {
+            this.checkProtocol(1);
+            if (payload.type === 'live') this.dispatch(LiveEvents.LIVE, payload.data);
+            else if (payload.type === 'log') this.dispatch(LiveEvents.LOG, { message: payload.message, level: payload.level });
+            else if (payload.type === 'refresh') this.dispatch(LiveEvents.REFRESH, { scopes: REFRESH_SCOPES });
+            else this.dispatch(LiveEvents.LIVE, payload);
+            return;
+        }
+
+        if (payload.type === LiveEvents.HELLO) {
+            this.protocolVersion = payload.data?.protocol ?? payload.v;
+            this.backendVersion = payload.data?.app ?? null;
+            this.checkProtocol(this.protocolVersion);
+        } else if (this.protocolVersion === null) {
+            // Anything before the hello means the handshake was skipped; trust the envelope version
+            this.checkProtocol(payload.v);
+        }
+        this.dispatch(payload.type, payload.data ?? {});
+    }
+
+    dispatch(type, data) {
+        if (type === LiveEvents.LIVE && data?.connectionStatus) {
+            this.updateConnectionStatus(data.connectionStatus, data.gameName);
+        }
+        if (type === LiveEvents.REFRESH && !data.scopes?.length) data = { ...data, scopes: REFRESH_SCOPES };
+        this.emit(type, data);
+    }
+
+    checkProtocol(version) {
+        if (version === LIVE_PROTOCOL_VERSION || this.protocolMismatch) return;
+        this.protocolMismatch = true;
+        console.warn(`[WS] Backend speaks live protocol v${version}, UI expects v${LIVE_PROTOCOL_VERSION}`);
+        this.emit(LiveEvents.PROTOCOL_MISMATCH, { expected: LIVE_PROTOCOL_VERSION, actual: version, backendVersion: this.backendVersion });
+    }
+
+    /** Random wait between half and all of min(cap, base * 2^attempt). */
+    reconnectDelay(attempt) {
+        const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
     scheduleReconnect() {
         if (this.wsReconnectTimer) return;
+        const delay = this.reconnectDelay(this.reconnectAttempts++);
+        const retryAt = Date.now() + delay;
+        console.log(`[WS] Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+
+        const tick = () => this.updateConnectionStatus('reconnecting', '', Math.ceil((retryAt - Date.now()) / 1000));
+        tick();
+        this.wsCountdownTimer = setInterval(tick, 1000);
+
         this.wsReconnectTimer = setTimeout(() => {
-            this.wsReconnectTimer = null;
+            this.clearReconnect();
             this.updateConnectionStatus('connecting');
             this.connectLive();
-        }, 3000);
+        }, delay);
+    }
+
+    clearReconnect() {
+        clearTimeout(this.wsReconnectTimer);
+        clearInterval(this.wsCountdownTimer);
+        this.wsReconnectTimer = null;
+        this.wsCountdownTimer = null;
     }
 
+    // Shorthands for the two most common subscriptions; both return an unsubscribe function
     onLiveData(callback) {
-        this.liveCallbacks.push(callback);
+        return this.on(LiveEvents.LIVE, callback);
     }
 
     onLog(callback) {
-        this.logCallbacks.push(callback);
+        return this.on(LiveEvents.LOG, ({ message, level }) => callback(message, level));
     }
 
-    updateConnectionStatus(status, gameName = '') {
+    /** Renders the status pill; `retryIn` is the seconds left before the next reconnect attempt. */
+    updateConnectionStatus(status, gameName = '', retryIn = 0) {
         const dot = document.querySelector('.status-dot');
         const text = document.querySelector('.status-text');
 
@@ -107,6 +346,9 @@ class OsuGrindAPI {
                 dot?.classList.add('connecting');
                 if (text) text.textContent = 'Connecting…';
                 break;
+            case 'reconnecting':
+                if (text) text.textContent = retryIn > 0 ? `Reconnecting in ${retryIn}s…` : 'Reconnecting…';
+                break;
             case 'disconnected':
             default:
                 if (text) text.textContent = 'Disconnected';
@@ -119,34 +361,168 @@ class OsuGrindAPI {
     // REST API Methods
     // ═══════════════════════════════════════════════════════════════════════
 
+    /**
+     * JSON request against the backend. Besides the usual fetch options this takes `timeout` (ms, 0 for none),
+     * `signal` to cancel, `retries`, and `ttl` to override CACHE_TTLS. Concurrent identical GETs share one request.
+     * Writes list the scopes they change in `invalidates` (e.g. ['history']); other cached reads survive them.
+     */
     async fetch(endpoint, options = {}) {
+        const { timeout = DEFAULT_TIMEOUT_MS, signal, retries, ttl, invalidates = [], ...init } = options;
+
+        try {
+            if ((init.method || 'GET').toUpperCase() !== 'GET') {
+                const data = await this.request(endpoint, init, { timeout, signal, retries: retries ?? 0 });
+                invalidates.forEach(scope => this.invalidate(`/api/${scope}`));
+                return data;
+            }
+
+            const cached = this.cache.get(endpoint);
+            if (cached && cached.expires > Date.now()) return cached.data;
+
+            let entry = this.inFlight.get(endpoint);
+            if (!entry) {
+                entry = this.startShared(endpoint, init, { timeout, retries: retries ?? GET_RETRIES, ttl: ttl ?? this.cacheTtl(endpoint) });
+            }
+            return await this.join(entry, endpoint, signal);
+        } catch (error) {
+            if (!(error instanceof ApiAbortError)) console.error(`[API] ${endpoint} failed:`, error);
+            throw error;
+        }
+    }
+
+    startShared(endpoint, init, { timeout, retries, ttl }) {
+        const generation = this.cacheGeneration;
+        const entry = { controller: new AbortController(), waiters: 0 };
+        entry.promise = this.request(endpoint, init, { timeout, retries, signal: entry.controller.signal })
+            .then(data => {
+                if (ttl > 0 && generation === this.cacheGeneration) this.cache.set(endpoint, { data, expires: Date.now() + ttl });
+                return data;
+            })
+            .finally(() => {
+                if (this.inFlight.get(endpoint) === entry) this.inFlight.delete(endpoint);
+            });
+        this.inFlight.set(endpoint, entry);
+        return entry;
+    }
+
+    // Waits on a shared request; the request itself is only aborted once every waiter has given up on it
+    join(entry, endpoint, signal) {
+        entry.waiters++;
+        if (!signal) return entry.promise;
+
+        const leave = () => {
+            if (--entry.waiters === 0) entry.controller.abort();
+        };
+        if (signal.aborted) {
+            leave();
+            return Promise.reject(new ApiAbortError(endpoint));
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                leave();
+                reject(new ApiAbortError(endpoint));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    async request(endpoint, init, { timeout, retries, signal }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, init, timeout, signal);
+            } catch (error) {
+                const retryable = !(error instanceof ApiTimeoutError || error instanceof ApiAbortError)
+                    && (error.status === 0 || error.status >= 500);
+                if (!retryable || attempt >= retries) throw error;
+                await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** attempt));
+                if (signal?.aborted) throw new ApiAbortError(endpoint);
+            }
+        }
+    }
+
+    async send(endpoint, init, timeout, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
         try {
             const response = await fetch(`${API_BASE}${endpoint}`, {
-                ...options,
+                ...init,
+                signal: controller.signal,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...options.headers
+                    ...init.headers
                 }
             });
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            return await response.json();
+            const text = await response.text();
+            let body = null;
+            try {
+                body = text ? JSON.parse(text) : null;
+            } catch (e) {
+                if (response.ok) throw new ApiError(`${endpoint} returned invalid JSON`, { endpoint, status: response.status, body: text, cause: e });
+                body = text;
+            }
+            if (!response.ok) {
+                const message = (typeof body?.error === 'string' && body.error) || body?.message || body?.error?.message || `HTTP ${response.status}`;
+                throw new ApiError(message, { endpoint, status: response.status, body });
+            }
+            return body;
         } catch (error) {
-            console.error(`[API] ${endpoint} failed:`, error);
-            throw error;
+            if (error instanceof ApiError) throw error;
+            if (timedOut) throw new ApiTimeoutError(endpoint, timeout);
+            if (controller.signal.aborted) throw new ApiAbortError(endpoint);
+            throw new ApiError(`Network error: ${error.message}`, { endpoint, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    cacheTtl(endpoint) {
+        return CACHE_TTLS[endpoint.split('?')[0]] || 0;
+    }
+
+    /** Drops cached reads whose endpoint starts with `prefix` (all of them without one). */
+    invalidate(prefix = '') {
+        this.cacheGeneration++;
+        for (const endpoint of [...this.cache.keys()]) {
+            if (endpoint.startsWith(prefix)) this.cache.delete(endpoint);
         }
+        // Later callers get a fresh request; current waiters keep the one they joined
+        for (const endpoint of [...this.inFlight.keys()]) {
+            if (endpoint.startsWith(prefix)) this.inFlight.delete(endpoint);
+        }
+    }
+
+    /** AbortSignal for requests made on behalf of a view; it fires when the app navigates away from it. */
+    viewSignal(view) {
+        if (!this.viewControllers.has(view)) this.viewControllers.set(view, new AbortController());
+        return this.viewControllers.get(view).signal;
+    }
+
+    abortView(view) {
+        this.viewControllers.get(view)?.abort();
+        this.viewControllers.delete(view);
     }
 
     // History
-    async getHistoryForDate(date) {
-        return this.fetch(`/api/history?date=${date}`);
+    async getHistoryForDate(date, options = {}) {
+        return this.fetch(`/api/history?date=${date}`, options);
     }
 
     async getRecentHistory(limit = 50) {
         return this.fetch(`/api/history/recent?limit=${limit}`);
     }
 
-    async getMonthPlays(year, month) {
-        return this.fetch(`/api/history/month?year=${year}&month=${month}`);
+    async getMonthPlays(year, month, options = {}) {
+        return this.fetch(`/api/history/month?year=${year}&month=${month}`, options);
     }
 
     // Analytics
@@ -177,18 +553,20 @@ class OsuGrindAPI {
     async saveSettings(settings) {
         return this.fetch('/api/settings', {
             method: 'POST',
+            invalidates: ['settings', 'profile'],
             body: JSON.stringify(settings)
         });
     }
 
     // Play Actions
     async deletePlay(id) {
-        return this.fetch(`/api/play/${id}`, { method: 'DELETE' });
+        return this.fetch(`/api/play/${id}`, { method: 'DELETE', invalidates: REFRESH_SCOPES });
     }
 
     async updatePlayNotes(id, notes) {
         return this.fetch(`/api/play/${id}/notes`, {
             method: 'POST',
+            invalidates: ['history'],
             body: JSON.stringify({ notes })
         });
     }
@@ -215,6 +593,7 @@ class OsuGrindAPI {
     async installUpdate(zipUrl) {
         return this.fetch('/api/update/install', {
             method: 'POST',
+            timeout: 0,
             body: JSON.stringify({ zipUrl })
         });
     }
@@ -229,11 +608,11 @@ class OsuGrindAPI {
 
     // Data Import
     async importLazer() {
-        return this.fetch('/api/import/lazer', { method: 'POST' });
+        return this.fetch('/api/import/lazer', { method: 'POST', timeout: 0, invalidates: REFRESH_SCOPES });
     }
 
-    async importStable() {
-        return this.fetch('/api/import/stable', { method: 'POST' });
+    async importStable(aliases = '') {
+        return this.fetch(`/api/import/stable?aliases=${encodeURIComponent(aliases)}`, { method: 'POST', timeout: 0, invalidates: REFRESH_SCOPES });
     }
 
     async exportCsv() {
@@ -241,20 +620,20 @@ class OsuGrindAPI {
     }
 
     async deleteZeroScores() {
-        return this.fetch('/api/data/delete-zero', { method: 'POST' });
+        return this.fetch('/api/data/delete-zero', { method: 'POST', invalidates: REFRESH_SCOPES });
     }
 
     async deleteAllScores() {
-        return this.fetch('/api/settings/delete-scores', { method: 'POST' });
+        return this.fetch('/api/settings/delete-scores', { method: 'POST', invalidates: REFRESH_SCOPES });
     }
 
     async deleteAllBeatmaps() {
-        return this.fetch('/api/settings/delete-beatmaps', { method: 'POST' });
+        return this.fetch('/api/settings/delete-beatmaps', { method: 'POST', invalidates: REFRESH_SCOPES });
     }
 
-    // File Dialog (routed through backend)
+    // File Dialog (routed through backend); waits on the user, so no timeout
     async browseFolder(type) {
-        return this.fetch(`/api/browse/${type}`);
+        return this.fetch(`/api/browse/${type}`, { timeout: 0, retries: 0 });
     }
 
     // OAuth
@@ -263,9 +642,13 @@ class OsuGrindAPI {
     }
 
     async logout() {
-        return this.fetch('/api/auth/logout', { method: 'POST' });
+        return this.fetch('/api/auth/logout', { method: 'POST', invalidates: ['profile'] });
     }
 }
 
 // Global instance
+window.LiveEvents = LiveEvents;
+window.ApiError = ApiError;
+window.ApiTimeoutError = ApiTimeoutError;
+window.ApiAbortError = ApiAbortError;
 window.api = new OsuGrindAPI();
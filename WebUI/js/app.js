@@ -24,7 +24,6 @@ class OsuGrindApp {
         window.api.connectLive();
 
         window.api.onLog((msg, level) => {
-            if (msg === undefined && level === undefined) return; // refresh signal check
             this.logToDebug(msg, level);
             const prefix = `[C#][${level}]`;
             if (level === 'ERROR' || level === 'EXCEPTION') console.error(prefix, msg);
@@ -32,15 +31,18 @@ class OsuGrindApp {
             else console.log(prefix, msg);
         });
 
-        window.api.onLiveData((data) => {
-            if (data.type === 'refresh') {
-                console.log('[App] Refresh signal received');
-                if (window.historyModule) window.historyModule.resetToCalendar();
-                if (window.analyticsModule) window.analyticsModule.refresh(true);
-                if (window.goalsModule) window.goalsModule.refresh();
-                return;
-            }
-            window.liveModule?.updateUI(data);
+        // Live frames go straight to the HUD, which subscribes itself (LiveModule.subscribeToLiveData)
+        window.api.on(LiveEvents.REFRESH, ({ scopes }) => {
+            console.log('[App] Refresh signal received:', scopes.join(', '));
+            if (scopes.includes('history')) window.historyModule?.resetToCalendar();
+            if (scopes.includes('analytics')) window.analyticsModule?.refresh(true);
+            if (scopes.includes('goals')) window.goalsModule?.refresh();
+            if (scopes.includes('profile')) window.profileModule?.loadProfile();
+        });
+
+        window.api.on(LiveEvents.PROTOCOL_MISMATCH, ({ expected, actual, backendVersion }) => {
+            const backend = backendVersion ? ` (backend ${backendVersion})` : '';
+            this.logToDebug(`Live protocol mismatch: UI expects v${expected}, backend sent v${actual}${backend}. Restart OsuGrind to update.`, 'WARN');
         });
 
         // Initialize each module
@@ -277,6 +279,8 @@ class OsuGrindApp {
             newContent.classList.add('active');
         }
         
+        // Requests the old tab still has in flight are no longer wanted
+        window.api.abortView(this.currentTab);
         this.previousTab = this.currentTab;
         if (tabName !== 'settings') this.lastNonSettingsTab = tabName;
         this.currentTab = tabName;
@@ -422,6 +426,7 @@ class OsuGrindApp {
         this.debugOutput = document.getElementById('debugOutput');
         if (document.getElementById('clearDebug')) document.getElementById('clearDebug').onclick = () => { this.debugOutput.innerHTML = ''; };
         if (document.getElementById('closeDebug')) document.getElementById('closeDebug').onclick = () => { this.debugConsole.style.display = 'none'; };
+        this.initLiveRecorderControls();
         window.addEventListener('keydown', (e) => {
             if (e.key.toLowerCase() === 'd' && (e.ctrlKey || e.shiftKey)) {
                 if (this.debugConsole) {
@@ -432,6 +437,55 @@ class OsuGrindApp {
         });
     }
 
+    // Record/replay of the /ws/live stream for reproducing HUD bugs (see live-recorder.js)
+    initLiveRecorderControls() {
+        const recorder = window.liveRecorder;
+        const recordBtn = document.getElementById('recordLive');
+        const replayBtn = document.getElementById('replayLive');
+        const fileInput = document.getElementById('replayFile');
+        const speedSelect = document.getElementById('replaySpeed');
+        if (!recorder || !recordBtn || !replayBtn || !fileInput) return;
+
+        const render = () => {
+            recordBtn.textContent = recorder.isRecording ? '■ Stop' : '● Rec';
+            recordBtn.classList.toggle('active', recorder.isRecording);
+            replayBtn.textContent = recorder.isReplaying ? '■ Stop' : 'Replay';
+            replayBtn.classList.toggle('active', recorder.isReplaying);
+        };
+        recorder.onChange(render);
+        render();
+
+        recordBtn.onclick = () => {
+            if (recorder.isRecording) {
+                const recording = recorder.stop();
+                if (!recording) return;
+                recorder.download(recording);
+                this.logToDebug(`Saved live recording (${recording.frames.length} frames)`, 'success');
+            } else {
+                recorder.start();
+                this.logToDebug('Recording /ws/live…', 'info');
+            }
+        };
+        replayBtn.onclick = () => {
+            if (recorder.isReplaying) recorder.stopReplay();
+            else fileInput.click();
+        };
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            const speed = parseFloat(speedSelect?.value) || 1;
+            this.logToDebug(`Replaying ${file.name} at ${speed}x`, 'info');
+            try {
+                await recorder.replayFile(file, { speed });
+            } catch (e) {
+                this.logToDebug(`Replay failed: ${e.message}`, 'error');
+            }
+        };
+
+        recorder.replayFromQuery();
+    }
+
     logToDebug(msg, type = 'info') {
         if (!this.debugOutput) return;
         const line = document.createElement('div');
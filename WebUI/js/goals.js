@@ -293,6 +293,7 @@ class GoalsModule {
         try {
             const res = await window.api.fetch('/api/goals/save', {
                 method: 'POST',
+                invalidates: ['goals'],
                 body: JSON.stringify(payload)
             });
 
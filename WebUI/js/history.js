@@ -57,9 +57,10 @@ class HistoryModule {
 
     async loadMonthData() {
         try {
-            const data = await window.api.getMonthPlays(this.currentYear, this.currentMonth + 1);
+            const data = await window.api.getMonthPlays(this.currentYear, this.currentMonth + 1, { signal: window.api.viewSignal('history') });
             this.monthPlayCounts = data.playCounts || {};
         } catch (error) {
+            if (error instanceof ApiAbortError) return;
             console.error('[History] Failed to load month data:', error);
             this.monthPlayCounts = {};
         }
@@ -148,10 +149,11 @@ class HistoryModule {
         });
 
         try {
-            const data = await window.api.getHistoryForDate(dateStr);
+            const data = await window.api.getHistoryForDate(dateStr, { signal: window.api.viewSignal('history') });
             this.renderDayStats(data.stats);
             this.renderPlaysList(data.plays);
         } catch (error) {
+            if (error instanceof ApiAbortError) return;
             console.error('[History] Failed to load day data:', error);
         }
     }
@@ -0,0 +1,176 @@
+/**
+ * OSU!GRIND Live Recorder
+ * Records the raw /ws/live stream with timestamps and replays recordings into the live event bus,
+ * so HUD bugs can be reproduced without playing osu!. Controls live in the debug console (Ctrl+D).
+ */
+
+// Same file format the mock server replays (tools/mock-server/sessions)
+const LIVE_RECORDING_FORMAT = 'osugrind-live-recording';
+const LIVE_RECORDING_VERSION = 1;
+
+// Live frames arrive every 100ms at roughly 1KB each, so this caps a recording near an hour and ~40MB
+const MAX_RECORDED_FRAMES = 36000;
+
+class LiveRecorder {
+    constructor(api) {
+        this.api = api;
+        // Non-null while recording
+        this.frames = null;
+        this.startedAt = 0;
+        this.unsubscribe = null;
+        // { timer, resolve } while a replay runs
+        this.replayState = null;
+        this.listeners = new Set();
+    }
+
+    get isRecording() {
+        return this.frames !== null;
+    }
+
+    get isReplaying() {
+        return this.replayState !== null;
+    }
+
+    /** Subscribes to recorder state changes (start/stop of recording or replay); returns an unsubscribe function. */
+    onChange(handler) {
+        this.listeners.add(handler);
+        return () => this.listeners.delete(handler);
+    }
+
+    notify() {
+        this.listeners.forEach(handler => handler(this));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Recording
+    // ═══════════════════════════════════════════════════════════════════════
+
+    start() {
+        if (this.isRecording) return;
+        this.frames = [];
+        this.startedAt = Date.now();
+        this.unsubscribe = this.api.on(LiveEvents.RAW, (raw) => this.capture(raw));
+        console.log('[Recorder] Recording /ws/live');
+        this.notify();
+    }
+
+    capture(raw) {
+        if (this.frames.length >= MAX_RECORDED_FRAMES) {
+            console.warn(`[Recorder] Stopped at ${MAX_RECORDED_FRAMES} frames`);
+            this.download(this.stop());
+            return;
+        }
+        // Kept verbatim when it isn't JSON, so malformed frames can be replayed too
+        const frame = { t: Date.now() - this.startedAt };
+        try {
+            frame.message = JSON.parse(raw);
+        } catch (e) {
+            frame.raw = raw;
+        }
+        this.frames.push(frame);
+    }
+
+    /** Stops recording and returns the recording, or null if none was running. */
+    stop() {
+        if (!this.isRecording) return null;
+        this.unsubscribe();
+        const recording = {
+            format: LIVE_RECORDING_FORMAT,
+            version: LIVE_RECORDING_VERSION,
+            protocol: this.api.protocolVersion ?? LIVE_PROTOCOL_VERSION,
+            app: this.api.backendVersion,
+            startedAt: new Date(this.startedAt).toISOString(),
+            frames: this.frames
+        };
+        this.frames = null;
+        this.unsubscribe = null;
+        console.log(`[Recorder] Recorded ${recording.frames.length} frames`);
+        this.notify();
+        return recording;
+    }
+
+    download(recording) {
+        if (!recording) return;
+        const stamp = recording.startedAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        const url = URL.createObjectURL(new Blob([JSON.stringify(recording)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `osugrind-live-${stamp}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Replay
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Feeds a recording's frames through api.receive with their recorded gaps divided by `speed`.
+     * Socket frames are dropped meanwhile. Resolves when the replay ends or is stopped.
+     * Recorded hellos are skipped so the real connection keeps its protocol and backend version.
+     */
+    replay(recording, { speed = 1 } = {}) {
+        if (recording?.format !== LIVE_RECORDING_FORMAT || !Array.isArray(recording.frames)) {
+            return Promise.reject(new Error('Not an OsuGrind live recording'));
+        }
+        if (recording.version > LIVE_RECORDING_VERSION) {
+            return Promise.reject(new Error(`Recording format v${recording.version} is newer than this UI (v${LIVE_RECORDING_VERSION})`));
+        }
+        this.stopReplay();
+
+        const frames = recording.frames.filter(f => f.message?.type !== LiveEvents.HELLO);
+        console.log(`[Recorder] Replaying ${frames.length} frames at ${speed}x`);
+        this.api.replaying = true;
+
+        return new Promise((resolve) => {
+            this.replayState = { timer: null, resolve };
+            this.notify();
+
+            let index = 0;
+            const step = () => {
+                if (index >= frames.length) {
+                    this.stopReplay();
+                    return;
+                }
+                const frame = frames[index++];
+                this.api.receive(frame.raw ?? JSON.stringify(frame.message));
+                const gap = index < frames.length ? frames[index].t - frame.t : 0;
+                // receive() can stop the replay through a handler
+                if (this.replayState) this.replayState.timer = setTimeout(step, Math.max(0, gap / speed));
+            };
+            step();
+        });
+    }
+
+    stopReplay() {
+        if (!this.replayState) return;
+        const { timer, resolve } = this.replayState;
+        clearTimeout(timer);
+        this.replayState = null;
+        this.api.replaying = false;
+        console.log('[Recorder] Replay finished');
+        this.notify();
+        resolve();
+    }
+
+    async replayFile(file, options) {
+        return this.replay(JSON.parse(await file.text()), options);
+    }
+
+    async replayUrl(url, options) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Recording ${url}: HTTP ${response.status}`);
+        return this.replay(await response.json(), options);
+    }
+
+    /** Dev mode: `?replay=<url>&speed=<n>` replays a recording as soon as the UI has loaded. */
+    replayFromQuery(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const url = params.get('replay');
+        if (!url) return null;
+        const speed = parseFloat(params.get('speed')) || 1;
+        return this.replayUrl(url, { speed }).catch(e => console.error('[Recorder] Replay failed:', e));
+    }
+}
+
+window.liveRecorder = new LiveRecorder(window.api);
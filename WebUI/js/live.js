@@ -200,7 +200,7 @@ class LiveModule {
     }
 
     updateUI(data) {
-        if (!data || data.type === 'refresh') return;
+        if (!data) return;
         const el = this.elements;
 
         if (data.backgroundPath && el.background) {
@@ -114,7 +114,7 @@ class SettingsModule {
         btn.disabled = true;
 
         try {
-            const result = await window.api.fetch(`/api/import/stable?aliases=${encodeURIComponent(aliases || '')}`, { method: 'POST' });
+            const result = await window.api.importStable(aliases || '');
             if (result.success) {
                 alert(`Imported ${result.count} scores from Stable!`);
                 if (window.analyticsModule) window.analyticsModule.refresh(true);
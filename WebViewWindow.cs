@@ -453,6 +453,8 @@ public partial class WebViewWindow : Window
     {
         var lastBroadcast = DateTime.UtcNow;
         var broadcastInterval = TimeSpan.FromMilliseconds(100);
+        string? lastStatus = null;
+        string? lastPlayState = null;
 
         while (!_cts.IsCancellationRequested)
         {
@@ -521,6 +523,16 @@ public partial class WebViewWindow : Window
 
                     await _apiServer.BroadcastLiveData(liveData);
                     lastBroadcast = DateTime.UtcNow;
+
+                    // Discrete events so the UI doesn't have to diff every live frame
+                    if (status != lastStatus || liveData.playState != lastPlayState)
+                    {
+                        await _apiServer.BroadcastEvent("state_change", new { connectionStatus = status, gameName = liveData.gameName, playState = liveData.playState, previousPlayState = lastPlayState });
+                        if (liveData.playState == "Playing" && lastPlayState is not ("Playing" or "Paused"))
+                            await _apiServer.BroadcastEvent("play_started", new { liveData.mapName, liveData.artist, liveData.title, liveData.version, liveData.mods });
+                        lastStatus = status;
+                        lastPlayState = liveData.playState;
+                    }
                 }
 
                 // 4. Update dynamic tick rate based on activity
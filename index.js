@@ -1,153 +1,2824 @@
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type"
+// Tables added on top of the original accounts/sessions schema; created on first use per isolate
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS account_snapshots (
+     osu_id INTEGER NOT NULL,
+     day TEXT NOT NULL,
+     total_plays INTEGER, total_time INTEGER, avg_pp REAL, avg_acc REAL, avg_ur REAL, mentality REAL, streak INTEGER, form TEXT,
+     recorded_at INTEGER,
+     PRIMARY KEY (osu_id, day)
+   )`,
+  `CREATE TABLE IF NOT EXISTS account_flags (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     osu_id INTEGER NOT NULL,
+     rule TEXT NOT NULL,
+     severity TEXT NOT NULL,
+     detail TEXT,
+     created_at INTEGER NOT NULL,
+     updated_at INTEGER NOT NULL,
+     resolved_at INTEGER,
+     resolution TEXT
+   )`,
+  // At most one open flag per rule; repeat detections refresh it instead of piling up
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_account_flags_open ON account_flags (osu_id, rule) WHERE resolved_at IS NULL`,
+  `CREATE TABLE IF NOT EXISTS admin_audit (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     actor TEXT,
+     action TEXT NOT NULL,
+     target TEXT NOT NULL,
+     detail TEXT,
+     created_at INTEGER NOT NULL
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit (target)`,
+  `CREATE TABLE IF NOT EXISTS follows (
+     follower_id INTEGER NOT NULL,
+     followee_id INTEGER NOT NULL,
+     source TEXT NOT NULL DEFAULT 'manual',
+     created_at INTEGER NOT NULL,
+     PRIMARY KEY (follower_id, followee_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows (followee_id)`,
+  `CREATE TABLE IF NOT EXISTS seasons (
+     id TEXT PRIMARY KEY,
+     name TEXT NOT NULL,
+     kind TEXT NOT NULL,
+     starts_at INTEGER NOT NULL,
+     ends_at INTEGER NOT NULL,
+     closed_at INTEGER
+   )`,
+  `CREATE TABLE IF NOT EXISTS season_stats (
+     season_id TEXT NOT NULL,
+     osu_id INTEGER NOT NULL,
+     plays INTEGER NOT NULL DEFAULT 0,
+     time INTEGER NOT NULL DEFAULT 0,
+     pp_sum REAL NOT NULL DEFAULT 0,
+     acc_sum REAL NOT NULL DEFAULT 0,
+     updated_at INTEGER NOT NULL,
+     PRIMARY KEY (season_id, osu_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS season_standings (
+     season_id TEXT NOT NULL,
+     metric TEXT NOT NULL,
+     rank INTEGER NOT NULL,
+     osu_id INTEGER NOT NULL,
+     username TEXT,
+     country TEXT,
+     value REAL,
+     PRIMARY KEY (season_id, metric, rank)
+   )`,
+  `CREATE TABLE IF NOT EXISTS achievements (
+     osu_id INTEGER NOT NULL,
+     achievement_id TEXT NOT NULL,
+     unlocked_at INTEGER NOT NULL,
+     PRIMARY KEY (osu_id, achievement_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_achievements_id ON achievements (achievement_id)`,
+  `CREATE TABLE IF NOT EXISTS devices (
+     osu_id INTEGER NOT NULL,
+     hardware_id TEXT NOT NULL,
+     version TEXT,
+     first_seen INTEGER NOT NULL,
+     last_seen INTEGER NOT NULL,
+     revoked_at INTEGER,
+     total_plays INTEGER NOT NULL DEFAULT 0, total_time INTEGER NOT NULL DEFAULT 0, avg_acc REAL, avg_pp REAL, avg_ur REAL,
+     form TEXT, mentality REAL, perf_match REAL, graphs_json TEXT,
+     stats_at INTEGER,
+     PRIMARY KEY (osu_id, hardware_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS webhooks (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     osu_id INTEGER,
+     url TEXT NOT NULL,
+     secret TEXT NOT NULL,
+     events TEXT NOT NULL,
+     format TEXT NOT NULL DEFAULT 'json',
+     failures INTEGER NOT NULL DEFAULT 0,
+     created_at INTEGER NOT NULL,
+     disabled_at INTEGER
+   )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     webhook_id INTEGER NOT NULL,
+     event TEXT NOT NULL,
+     payload TEXT NOT NULL,
+     status TEXT NOT NULL DEFAULT 'pending',
+     attempts INTEGER NOT NULL DEFAULT 0,
+     next_attempt_at INTEGER NOT NULL,
+     last_error TEXT,
+     created_at INTEGER NOT NULL,
+     delivered_at INTEGER
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at)`,
+  // Players who deleted their data through /me/delete; /ping ignores their token until they opt back in
+  `CREATE TABLE IF NOT EXISTS deleted_players (
+     osu_id INTEGER PRIMARY KEY,
+     deleted_at INTEGER NOT NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS maintenance_reports (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     started_at INTEGER NOT NULL,
+     finished_at INTEGER NOT NULL,
+     report TEXT NOT NULL
+   )`
+];
+
+// Columns added to the original accounts table; SQLite has no ADD COLUMN IF NOT EXISTS, so they are diffed against PRAGMA table_info
+const ACCOUNT_COLUMNS = {
+  first_seen: "INTEGER",
+  flagged: "INTEGER NOT NULL DEFAULT 0",
+  hidden: "INTEGER NOT NULL DEFAULT 0",
+  opt_out: "INTEGER NOT NULL DEFAULT 0"
+};
+
+let schemaReady = null;
+
+async function migrateSchema(env) {
+  await env.DB.batch(SCHEMA.map(sql => env.DB.prepare(sql)));
+  const { results } = await env.DB.prepare("PRAGMA table_info(accounts)").all();
+  const existing = new Set(results.map(c => c.name));
+  const missing = Object.entries(ACCOUNT_COLUMNS).filter(([name]) => !existing.has(name));
+  if (missing.length) {
+    await env.DB.batch(missing.map(([name, type]) => env.DB.prepare(`ALTER TABLE accounts ADD COLUMN ${name} ${type}`)));
+  }
+}
+
+function ensureSchema(env) {
+  if (!schemaReady) {
+    schemaReady = migrateSchema(env).catch(e => {
+      schemaReady = null;
+      throw e;
+    });
+  }
+  return schemaReady;
+}
+
+// Accounts anyone may look up: not hidden by an admin and not opted out by the player
+function visibleWhere(alias = "") {
+  const prefix = alias ? `${alias}.` : "";
+  return `${prefix}hidden = 0 AND ${prefix}opt_out = 0`;
+}
+
+// Accounts that appear on public boards and in rank/summary aggregates
+function rankedWhere(alias = "") {
+  const prefix = alias ? `${alias}.` : "";
+  return `${prefix}total_plays > 0 AND ${prefix}flagged = 0 AND ${visibleWhere(alias)}`;
+}
+
+const RANKED_WHERE = rankedWhere();
+
+const LEADERBOARD_COLUMNS = "osu_id, username, country, avatar_url, cover_url, total_plays, total_time, avg_pp, avg_acc, avg_ur, form, streak, last_seen, osu_ranked_score, perf_match";
+const LEADERBOARD_DEFAULT_LIMIT = 100;
+const LEADERBOARD_MAX_LIMIT = 100;
+const LEADERBOARD_MAX_SORT_KEYS = 3;
+const FORM_VALUES = ["Peak", "Great", "Stable", "Slumping", "Burnout", "Unknown"];
+
+// Whitelists: only these identifiers are ever interpolated into leaderboard SQL
+const allowedSorts = ["total_plays", "avg_pp", "avg_acc", "avg_ur", "streak", "last_seen", "osu_ranked_score", "osu_play_count"];
+const allowedFilters = {
+  country: (value) => /^[A-Za-z]{2}$/.test(value) ? { sql: "country = ?", param: value.toUpperCase() } : null,
+  min_plays: (value) => /^\d{1,9}$/.test(value) ? { sql: "total_plays >= ?", param: parseInt(value) } : null,
+  active_days: (value) => /^\d{1,4}$/.test(value) && parseInt(value) > 0 ? { sql: "last_seen >= ?", param: Date.now() - parseInt(value) * 86400000 } : null,
+  form: (value) => {
+    const match = FORM_VALUES.find(f => f.toLowerCase() === value.toLowerCase());
+    return match ? { sql: "form = ?", param: match } : null;
+  }
+};
+
+/**
+ * Parses /leaderboard query params into SQL fragments.
+ * sort accepts a comma list of columns with optional direction, e.g. "avg_pp:desc,avg_acc:asc";
+ * columns without a direction use the global `order` param.
+ */
+function parseLeaderboardQuery(searchParams) {
+  const where = [RANKED_WHERE];
+  const params = [];
+
+  const search = searchParams.get("search") || "";
+  if (search) {
+    where.push("username LIKE ?");
+    params.push(`%${search}%`);
+  }
+
+  for (const [name, build] of Object.entries(allowedFilters)) {
+    const value = searchParams.get(name);
+    if (value === null || value === "") continue;
+    const filter = build(value.trim());
+    if (!filter) return { error: `Invalid value for ${name}` };
+    where.push(filter.sql);
+    params.push(filter.param);
+  }
+
+  const defaultOrder = (searchParams.get("order") || "DESC").toUpperCase() === "ASC" ? "ASC" : "DESC";
+  const keys = [];
+  for (const part of (searchParams.get("sort") || "total_plays").split(",").slice(0, LEADERBOARD_MAX_SORT_KEYS)) {
+    const [column, dir] = part.trim().split(":");
+    if (!allowedSorts.includes(column) || keys.some(k => k.column === column)) continue;
+    keys.push({ column, dir: dir ? (dir.toUpperCase() === "ASC" ? "ASC" : "DESC") : defaultOrder });
+  }
+  if (keys.length === 0) keys.push({ column: "total_plays", dir: defaultOrder });
+  // osu_id is unique, so it makes the ordering total and the cursor unambiguous
+  keys.push({ column: "osu_id", dir: "ASC" });
+
+  const limitParam = parseInt(searchParams.get("limit"));
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), LEADERBOARD_MAX_LIMIT) : LEADERBOARD_DEFAULT_LIMIT;
+  const offsetParam = parseInt(searchParams.get("offset"));
+  const offset = Number.isFinite(offsetParam) && offsetParam > 0 ? offsetParam : 0;
+
+  let cursor = null;
+  const rawCursor = searchParams.get("cursor");
+  if (rawCursor) {
+    cursor = decodeCursor(keys, rawCursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return {
+    where,
+    params,
+    keys,
+    orderBy: keys.map(k => `${k.column} ${k.dir}`).join(", "),
+    limit,
+    offset,
+    cursor
+  };
+}
+
+function sortSignature(keys) {
+  return keys.map(k => `${k.column}:${k.dir}`).join(",");
+}
+
+function encodeCursor(keys, row) {
+  const payload = JSON.stringify({ s: sortSignature(keys), v: keys.map(k => row[k.column]) });
+  return btoa(payload).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Returns the cursor values, or null if the cursor is malformed or was issued for a different sort
+function decodeCursor(keys, raw) {
+  try {
+    const decoded = JSON.parse(atob(raw.replace(/-/g, "+").replace(/_/g, "/")));
+    if (decoded.s !== sortSignature(keys) || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) return null;
+    if (!decoded.v.every(v => typeof v === "number" || typeof v === "string")) return null;
+    return decoded.v;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Keyset condition "row comes after cursor" for a mixed-direction ORDER BY
+function buildSeekCondition(keys, values) {
+  const clauses = [];
+  const params = [];
+  for (let i = 0; i < keys.length; i++) {
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      parts.push(`${keys[j].column} = ?`);
+      params.push(values[j]);
+    }
+    parts.push(`${keys[i].column} ${keys[i].dir === "ASC" ? ">" : "<"} ?`);
+    params.push(values[i]);
+    clauses.push(`(${parts.join(" AND ")})`);
+  }
+  return { sql: `(${clauses.join(" OR ")})`, params };
+}
+
+/**
+ * Runs a leaderboard page query; returns { error } for rejected params.
+ * `scope` optionally narrows the board with an extra { sql, params } condition.
+ */
+async function queryLeaderboard(env, searchParams, scope = null) {
+  const parsed = parseLeaderboardQuery(searchParams);
+  if (parsed.error) return parsed;
+  const { where, params, orderBy, keys, limit, offset, cursor } = parsed;
+  if (scope) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  // Total is computed before the cursor condition so it always reflects the whole filtered set
+  const totalResult = await env.DB.prepare(`SELECT COUNT(*) as count FROM accounts WHERE ${where.join(" AND ")}`).bind(...params).first();
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    const seek = buildSeekCondition(keys, cursor);
+    pageWhere.push(seek.sql);
+    pageParams.push(...seek.params);
+  }
+
+  let query = `SELECT ${LEADERBOARD_COLUMNS} FROM accounts WHERE ${pageWhere.join(" AND ")} ORDER BY ${orderBy} LIMIT ?`;
+  pageParams.push(limit + 1);
+  if (!cursor && offset > 0) {
+    query += " OFFSET ?";
+    pageParams.push(offset);
+  }
+
+  const { results } = await env.DB.prepare(query).bind(...pageParams).all();
+  const hasMore = results.length > limit;
+  const rows = hasMore ? results.slice(0, limit) : results;
+  const last = rows[rows.length - 1];
+
+  return {
+    results: rows,
+    total: totalResult?.count || 0,
+    limit,
+    offset: cursor ? null : offset,
+    next_cursor: hasMore && last ? encodeCursor(keys, last) : null,
+    next_offset: hasMore && !cursor ? offset + limit : null
+  };
+}
+
+// Metrics that get an OsuGrind rank, with the direction that counts as "better"
+const RANK_METRICS = {
+  avg_pp: "DESC",
+  avg_acc: "DESC",
+  avg_ur: "ASC",
+  streak: "DESC",
+  total_plays: "DESC"
+};
+
+/**
+ * Global and country rank of an account for every RANK_METRICS column, plus the ranked player counts.
+ * Rank is 1 + the number of ranked players strictly better, so ties share a rank.
+ * A UR of 0 means "no data" and is left unranked.
+ */
+async function getAccountRanks(env, account) {
+  const selects = [];
+  const params = [];
+  for (const [column, dir] of Object.entries(RANK_METRICS)) {
+    const better = dir === "ASC" ? `${column} > 0 AND ${column} < ?` : `${column} > ?`;
+    selects.push(`(SELECT COUNT(*) FROM accounts WHERE ${RANKED_WHERE} AND ${better}) as ${column}_global`);
+    selects.push(`(SELECT COUNT(*) FROM accounts WHERE ${RANKED_WHERE} AND country = ? AND ${better}) as ${column}_country`);
+    params.push(account[column], account.country, account[column]);
+  }
+  const counts = await env.DB.prepare(`SELECT ${selects.join(", ")}`).bind(...params).first();
+  const totals = await env.DB.prepare(
+    `SELECT COUNT(*) as global, SUM(CASE WHEN country = ? THEN 1 ELSE 0 END) as country FROM accounts WHERE ${RANKED_WHERE}`
+  ).bind(account.country).first();
+
+  const ranks = {};
+  for (const [column, dir] of Object.entries(RANK_METRICS)) {
+    const unranked = !(account.total_plays > 0) || account.flagged || (dir === "ASC" && !(account[column] > 0));
+    ranks[column] = {
+      value: account[column],
+      global: unranked ? null : counts[`${column}_global`] + 1,
+      country: unranked ? null : counts[`${column}_country`] + 1
     };
-    if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders });
-    }
-
-    if (url.pathname === "/ping" && request.method === "POST") {
-      try {
-        const { userId, token, stats, graphs } = await request.json();
-        if (!userId) return new Response("Missing userId", { status: 400, headers: corsHeaders });
-        const now = Date.now();
-        let osuId = null;
-
-        // Verify Token & Get Identity (Trusting osu! API)
-        if (token) {
-            try {
-                const osuReq = await fetch("https://osu.ppy.sh/api/v2/me", {
-                    headers: { "Authorization": `Bearer ${token}` }
-                });
-                if (osuReq.ok) {
-                    const user = await osuReq.json();
-                    osuId = user.id;
-
-                    // SMART WRITE: Only hit D1 if data changed or 6 hours passed
-                    const lastSyncKey = `last_sync:${osuId}`;
-                    const lastSync = await env.ONLINE_KV.get(lastSyncKey);
-                    const shouldUpdate = !lastSync || (now - parseInt(lastSync)) > 21600000 || stats || graphs;
-
-                    if (shouldUpdate) {
-                        const bindings = [
-                            user.id, user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
-                            user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0
-                        ];
-                        const graphsJson = graphs ? JSON.stringify(graphs) : null;
-                        const streak = graphs?.streak || 0;
-                        
-                        if (stats) {
-                            bindings.push(stats.totalPlays || 0, stats.totalTime || 0, stats.avgAcc || 0, stats.avgPP || 0, stats.avgUR || 0, stats.form || "Unknown", stats.mentality || 0, graphsJson, streak, stats.perfMatch || 0);
-                            await env.DB.prepare(
-                                `INSERT INTO accounts (osu_id, username, country, avatar_url, cover_url, last_seen, osu_ranked_score, osu_play_count, osu_level, total_plays, total_time, avg_acc, avg_pp, avg_ur, form, mentality, graphs_json, streak, perf_match) 
-                                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) 
-                                 ON CONFLICT(osu_id) DO UPDATE SET 
-                                   username = ?, country = ?, avatar_url = ?, cover_url = ?, last_seen = ?,
-                                   osu_ranked_score = ?, osu_play_count = ?, osu_level = ?,
-                                   total_plays = ?, total_time = ?, avg_acc = ?, avg_pp = ?, avg_ur = ?, form = ?, mentality = ?, graphs_json = ?, streak = ?, perf_match = ?`
-                            ).bind(
-                                ...bindings,
-                                user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
-                                user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0,
-                                stats.totalPlays || 0, stats.totalTime || 0, stats.avgAcc || 0, stats.avgPP || 0, stats.avgUR || 0, stats.form || "Unknown", stats.mentality || 0, graphsJson, streak, stats.perfMatch || 0
-                            ).run();
-                        } else {
-                            await env.DB.prepare(
-                                `INSERT INTO accounts (osu_id, username, country, avatar_url, cover_url, last_seen, osu_ranked_score, osu_play_count, osu_level) 
-                                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) 
-                                 ON CONFLICT(osu_id) DO UPDATE SET 
-                                   username = ?, country = ?, avatar_url = ?, cover_url = ?, last_seen = ?,
-                                   osu_ranked_score = ?, osu_play_count = ?, osu_level = ?`
-                            ).bind(
-                                ...bindings, 
-                                user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
-                                user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0
-                            ).run();
-                        }
-                        await env.ONLINE_KV.put(lastSyncKey, now.toString());
-                    }
-                }
-            } catch (e) { }
+  }
+  return { players: { global: totals?.global || 0, country: totals?.country || 0 }, ranks };
+}
+
+const HISTORY_SERIES = ["total_plays", "avg_pp", "avg_acc", "avg_ur", "mentality", "streak"];
+const HISTORY_DEFAULT_DAYS = 365;
+const HISTORY_MAX_DAYS = 3650;
+
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// One row per account per UTC day; later pings on the same day overwrite it
+async function writeDailySnapshot(env, osuId, stats, streak, now) {
+  await env.DB.prepare(
+    `INSERT INTO account_snapshots (osu_id, day, total_plays, total_time, avg_pp, avg_acc, avg_ur, mentality, streak, form, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(osu_id, day) DO UPDATE SET
+       total_plays = excluded.total_plays, total_time = excluded.total_time, avg_pp = excluded.avg_pp, avg_acc = excluded.avg_acc,
+       avg_ur = excluded.avg_ur, mentality = excluded.mentality, streak = excluded.streak, form = excluded.form, recorded_at = excluded.recorded_at`
+  ).bind(
+    osuId, utcDay(now), stats.totalPlays || 0, stats.totalTime || 0, stats.avgPP || 0, stats.avgAcc || 0, stats.avgUR || 0,
+    stats.mentality || 0, streak, stats.form || "Unknown", now
+  ).run();
+}
+
+// ═══ /ping payload schema ═══
+// Ranges are deliberately generous; they exist to reject broken or hand-crafted payloads, not to judge skill.
+const MAX_PING_BYTES = 512 * 1024;
+const MAX_GRAPHS_BYTES = 256 * 1024;
+const MAX_REPORTED_ERRORS = 20;
+
+const STATS_SCHEMA = {
+  totalPlays: { type: "integer", min: 0, max: 10000000 },
+  totalTime: { type: "integer", min: 0, max: 100000000 }, // minutes
+  avgAcc: { type: "number", min: 0, max: 1 },
+  avgPP: { type: "number", min: 0, max: 5000 },
+  avgUR: { type: "number", min: 0, max: 1000 },
+  form: { type: "string", values: FORM_VALUES },
+  mentality: { type: "number", min: 0, max: 100 },
+  perfMatch: { type: "number", min: 0, max: 1000 }
+};
+
+const GRAPH_POINT_SCHEMA = {
+  p: { type: "integer", min: 0, max: 100000 },
+  t: { type: "integer", min: 0, max: 1440 * 366 },
+  acc: { type: "number", min: 0, max: 100 },
+  pp: { type: "number", min: 0, max: 5000 },
+  ur: { type: "number", min: 0, max: 1000 },
+  kr: { type: "number", min: 0, max: 100 },
+  m: { type: "number", min: 0, max: 1000 }
+};
+
+// Graph points are history the client keeps resending, so one bad point is dropped (`dropInvalid`)
+// rather than failing every future ping from that client
+const GRAPHS_SCHEMA = {
+  timeline: { type: "array", maxItems: 3660, dropInvalid: true, items: { type: "object", fields: { d: { type: "string", required: true, maxLength: 10 }, ...GRAPH_POINT_SCHEMA } } },
+  today: { type: "array", maxItems: 24, dropInvalid: true, items: { type: "object", fields: { h: { type: "string", required: true, maxLength: 5 }, ...GRAPH_POINT_SCHEMA } } },
+  histogram: { type: "map", maxKeys: 101, dropInvalid: true, keyPattern: /^-?\d{1,3}$/, values: { type: "integer", min: 0, max: 100000000 } },
+  streak: { type: "integer", min: 0, max: 36500 }
+};
+
+const PING_SCHEMA = {
+  userId: { type: "string", required: true, maxLength: 128 },
+  token: { type: "string", maxLength: 4096 },
+  version: { type: "string", maxLength: 32 },
+  stats: { type: "object", fields: STATS_SCHEMA },
+  graphs: { type: "object", fields: GRAPHS_SCHEMA, maxBytes: MAX_GRAPHS_BYTES }
+};
+
+/**
+ * Validates a value against a field rule and returns the cleaned value.
+ * Unknown object keys are dropped so nothing undeclared ends up in graphs_json.
+ * Problems are appended to `errors` as { field, message }, except inside `dropInvalid`
+ * arrays and maps, where an invalid item or entry is left out of the cleaned value instead.
+ */
+function validateField(value, rule, path, errors) {
+  const fail = (message) => { errors.push({ field: path, message }); return undefined; };
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (rule.maxLength && value.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.values && !rule.values.includes(value)) return fail(`must be one of ${rule.values.join(", ")}`);
+      return value;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a finite number");
+      if (rule.type === "integer" && !Number.isInteger(value)) return fail("must be an integer");
+      if (rule.min !== undefined && value < rule.min) return fail(`must be >= ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return fail(`must be <= ${rule.max}`);
+      return value;
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      const cleaned = [];
+      for (let i = 0; i < value.length && errors.length < MAX_REPORTED_ERRORS; i++) {
+        const itemErrors = rule.dropInvalid ? [] : errors;
+        const item = validateField(value[i], rule.items, `${path}[${i}]`, itemErrors);
+        if (!rule.dropInvalid || !itemErrors.length) cleaned.push(item);
+      }
+      return cleaned;
+    }
+    case "map": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      const entries = Object.entries(value);
+      if (rule.maxKeys && entries.length > rule.maxKeys) return fail(`must have at most ${rule.maxKeys} keys`);
+      const cleaned = {};
+      for (const [key, entry] of entries) {
+        if (errors.length >= MAX_REPORTED_ERRORS) break;
+        if (rule.keyPattern && !rule.keyPattern.test(key)) {
+          if (!rule.dropInvalid) fail(`has invalid key "${key.slice(0, 16)}"`);
+          continue;
         }
+        const entryErrors = rule.dropInvalid ? [] : errors;
+        const cleanedEntry = validateField(entry, rule.values, `${path}.${key}`, entryErrors);
+        if (!rule.dropInvalid || !entryErrors.length) cleaned[key] = cleanedEntry;
+      }
+      return cleaned;
+    }
+    case "object": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (rule.maxBytes && new TextEncoder().encode(JSON.stringify(value)).length > rule.maxBytes) {
+        return fail(`must be at most ${rule.maxBytes} bytes of JSON`);
+      }
+      return validateObject(value, rule.fields, path, errors);
+    }
+    default:
+      return fail("has an unsupported schema type");
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// null/undefined fields are treated as absent, matching how the client serializes optional sections
+function validateObject(value, fields, path, errors) {
+  const cleaned = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const fieldValue = value[name];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) errors.push({ field: fieldPath, message: "is required" });
+      continue;
+    }
+    cleaned[name] = validateField(fieldValue, rule, fieldPath, errors);
+  }
+  return cleaned;
+}
+
+/**
+ * Parses and validates a raw /ping body.
+ * Returns { payload } on success or { errors } listing every invalid field.
+ */
+function parsePingPayload(raw) {
+  if (new TextEncoder().encode(raw).length > MAX_PING_BYTES) {
+    return { errors: [{ field: "", message: `body must be at most ${MAX_PING_BYTES} bytes` }] };
+  }
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (e) {
+    return { errors: [{ field: "", message: "body must be valid JSON" }] };
+  }
+  if (!isPlainObject(body)) return { errors: [{ field: "", message: "body must be a JSON object" }] };
 
-        // Maintain Session (Hardware ID -> osu_id link)
-        const sessCacheKey = `hw_link:${userId}`;
-        const cachedOsuId = await env.ONLINE_KV.get(sessCacheKey);
-        const currentOsuId = osuId ? osuId.toString() : "";
+  const errors = [];
+  const payload = validateObject(body, PING_SCHEMA, "", errors);
+  if (errors.length) return { errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  return { payload };
+}
+
+// ═══ Plausibility ═══
+// "flag" rules describe values that cannot be real and hide the account until an admin resolves them.
+// "review" rules catch suspicious jumps that imports of old scores can also cause, so they only queue for review.
+const PLAUSIBILITY = {
+  playCountMargin: 1.05,
+  playCountSlack: 50,
+  profilePPFloor: 200,
+  maxPerfMatch: 200,
+  playsPerMinute: 2,
+  deltaSlackPlays: 50,
+  deltaSlackMinutes: 30,
+  avgPPSwing: 0.5,
+  avgPPSwingFloor: 50,
+  activityCheckPlays: 200,
+  activityMinLevel: 5
+};
+
+const PLAUSIBILITY_RULES = [
+  {
+    rule: "plays_exceed_osu_play_count",
+    severity: "flag",
+    check: ({ stats, user }) => {
+      const osuPlays = user.statistics?.play_count || 0;
+      return stats.totalPlays > osuPlays * PLAUSIBILITY.playCountMargin + PLAUSIBILITY.playCountSlack
+        ? { tracked: stats.totalPlays, osu: osuPlays } : null;
+    }
+  },
+  {
+    rule: "avg_pp_exceeds_profile_pp",
+    severity: "flag",
+    check: ({ stats, user }) => {
+      const profilePP = user.statistics?.pp || 0;
+      return stats.avgPP > Math.max(profilePP, PLAUSIBILITY.profilePPFloor) ? { avg_pp: stats.avgPP, profile_pp: profilePP } : null;
+    }
+  },
+  {
+    rule: "perf_match_out_of_range",
+    severity: "flag",
+    check: ({ stats }) => stats.perfMatch > PLAUSIBILITY.maxPerfMatch ? { perf_match: stats.perfMatch } : null
+  },
+  {
+    rule: "streak_exceeds_account_age",
+    severity: "flag",
+    check: ({ streak, origin, now }) => {
+      if (origin === null) return null;
+      const ageDays = Math.floor((now - origin) / 86400000) + 1;
+      return streak > ageDays ? { streak, account_age_days: ageDays } : null;
+    }
+  },
+  {
+    rule: "time_exceeds_wall_clock",
+    severity: "flag",
+    check: ({ stats, origin, now }) => {
+      if (origin === null) return null;
+      const wallMinutes = Math.floor((now - origin) / 60000);
+      return stats.totalTime > wallMinutes ? { total_time: stats.totalTime, wall_minutes: wallMinutes } : null;
+    }
+  },
+  {
+    rule: "low_osu_activity",
+    severity: "review",
+    check: ({ stats, user }) => {
+      const rankedScore = user.statistics?.ranked_score || 0;
+      const level = user.statistics?.level?.current || 0;
+      return stats.totalPlays > PLAUSIBILITY.activityCheckPlays && (rankedScore === 0 || level < PLAUSIBILITY.activityMinLevel)
+        ? { tracked: stats.totalPlays, ranked_score: rankedScore, level } : null;
+    }
+  },
+  {
+    rule: "play_delta_too_large",
+    severity: "review",
+    // Against the reporting device's own last report; merged totals jump whenever a device is added or restored
+    check: ({ device, now }) => {
+      const { previous, stats } = device;
+      if (!previous?.total_plays) return null;
+      const minutes = Math.max(0, (now - previous.stats_at) / 60000);
+      const plays = (stats.totalPlays || 0) - previous.total_plays;
+      const time = (stats.totalTime || 0) - previous.total_time;
+      const tooManyPlays = plays > minutes * PLAUSIBILITY.playsPerMinute + PLAUSIBILITY.deltaSlackPlays;
+      const tooMuchTime = time > minutes + PLAUSIBILITY.deltaSlackMinutes;
+      return tooManyPlays || tooMuchTime ? { plays_delta: plays, time_delta: time, elapsed_minutes: Math.round(minutes) } : null;
+    }
+  },
+  {
+    rule: "avg_pp_swing",
+    severity: "review",
+    check: ({ stats, previous }) => {
+      if (!previous?.total_plays) return null;
+      const swing = Math.abs(stats.avgPP - previous.avg_pp);
+      return swing > Math.max(previous.avg_pp * PLAUSIBILITY.avgPPSwing, PLAUSIBILITY.avgPPSwingFloor)
+        ? { previous: previous.avg_pp, submitted: stats.avgPP } : null;
+    }
+  }
+];
+
+/**
+ * Runs every plausibility rule against a stats ping.
+ * `previous` is the account row before this ping (null for new accounts) and `stats` the merged totals;
+ * `device` is { previous, stats } for the reporting device alone (see saveDevice).
+ * Lifetime totals are bounded by the earliest time we know the player existed: their osu! join date,
+ * falling back to our own first_seen, since imported history predates first contact with the worker.
+ */
+function checkPlausibility({ user, previous, device, stats, streak, now }) {
+  const joined = Date.parse(user.join_date);
+  const known = [joined, previous?.first_seen].filter(Number.isFinite);
+  // Brand-new accounts without a join date have no meaningful age yet
+  const origin = known.length ? Math.min(...known) : null;
+  const context = {
+    user,
+    previous,
+    device,
+    streak,
+    now,
+    origin,
+    stats: {
+      totalPlays: stats.totalPlays || 0,
+      totalTime: stats.totalTime || 0,
+      avgPP: stats.avgPP || 0,
+      perfMatch: stats.perfMatch || 0
+    }
+  };
+
+  const findings = [];
+  for (const { rule, severity, check } of PLAUSIBILITY_RULES) {
+    const detail = check(context);
+    if (detail) findings.push({ rule, severity, detail });
+  }
+  return findings;
+}
+
+// Opens or refreshes flags for the findings and syncs accounts.flagged with the open "flag" rules
+async function recordPlausibility(env, osuId, findings, now) {
+  if (findings.length) {
+    await env.DB.batch(findings.map(f => env.DB.prepare(
+      `INSERT INTO account_flags (osu_id, rule, severity, detail, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(osu_id, rule) WHERE resolved_at IS NULL DO UPDATE SET detail = excluded.detail, updated_at = excluded.updated_at`
+    ).bind(osuId, f.rule, f.severity, JSON.stringify(f.detail), now, now)));
+    console.warn("[ping] Plausibility findings", JSON.stringify({ osuId, rules: findings.map(f => f.rule) }));
+  }
+  await syncFlaggedColumn(env, osuId);
+}
+
+async function syncFlaggedColumn(env, osuId) {
+  await env.DB.prepare(
+    `UPDATE accounts SET flagged = EXISTS (SELECT 1 FROM account_flags WHERE osu_id = ? AND severity = 'flag' AND resolved_at IS NULL) WHERE osu_id = ?`
+  ).bind(osuId, osuId).run();
+}
+
+// ═══ Admin ═══
+
+function isAdminRequest(request, env) {
+  const secret = env.ADMIN_SECRET;
+  const provided = request.headers.get("X-Admin-Secret");
+  if (!secret || !provided || provided.length !== secret.length) return false;
+  // Constant-time comparison so the secret can't be recovered from response timing
+  let diff = 0;
+  for (let i = 0; i < secret.length; i++) diff |= secret.charCodeAt(i) ^ provided.charCodeAt(i);
+  return diff === 0;
+}
+
+async function writeAudit(env, request, action, target, detail) {
+  await env.DB.prepare("INSERT INTO admin_audit (actor, action, target, detail, created_at) VALUES (?, ?, ?, ?, ?)")
+    .bind((request.headers.get("X-Admin-Actor") || "admin").slice(0, 64), action, String(target), detail ? JSON.stringify(detail) : null, Date.now())
+    .run();
+}
+
+// Submitted stats columns, reset to their "never pinged with stats" values; identity and osu! columns are kept
+const WIPE_STATS_SQL = `UPDATE accounts SET total_plays = 0, total_time = 0, avg_acc = 0, avg_pp = 0, avg_ur = 0, form = 'Unknown',
+  mentality = 0, graphs_json = NULL, streak = 0, perf_match = 0 WHERE osu_id = ?`;
+
+// ═══ osu! token verification ═══
+// /me results are cached in KV by token hash. An entry is trusted for VERIFY_FRESH_MS and kept for
+// VERIFY_STALE_TTL so it can stand in for osu! while the API is rate limiting us or down.
+const DEFAULT_OSU_API_BASE = "https://osu.ppy.sh/api/v2";
+const VERIFY_FRESH_MS = 10 * 60 * 1000;
+const VERIFY_STALE_TTL = 24 * 60 * 60; // seconds
+const VERIFY_REJECTED_TTL = 5 * 60; // seconds
+const VERIFY_BACKOFF_KEY = "osu_backoff";
+const VERIFY_BACKOFF_BASE_MS = 30 * 1000;
+const VERIFY_BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function osuApiBase(env) {
+  return env.OSU_API_BASE || DEFAULT_OSU_API_BASE;
+}
+
+/**
+ * Resolves an osu! access token to its /me user, or null if the token is rejected
+ * or can't be verified right now. Never throws for osu!-side failures.
+ */
+async function verifyOsuToken(env, token) {
+  const cacheKey = `osu_me:${await sha256Hex(token)}`;
+  const now = Date.now();
+  const cached = await env.ONLINE_KV.get(cacheKey, "json");
+
+  if (cached?.rejected) return null;
+  if (cached?.user && now - cached.verifiedAt < VERIFY_FRESH_MS) return cached.user;
+
+  const backoff = await env.ONLINE_KV.get(VERIFY_BACKOFF_KEY, "json");
+  if (backoff && backoff.until > now) return cached?.user || null;
+
+  let response;
+  try {
+    response = await fetch(`${osuApiBase(env)}/me`, {
+      headers: { "Authorization": `Bearer ${token}` }
+    });
+  } catch (e) {
+    console.warn("[verify] osu! request failed", e.message);
+    await startVerifyBackoff(env, backoff, null);
+    return cached?.user || null;
+  }
+
+  if (response.ok) {
+    const user = await response.json();
+    await env.ONLINE_KV.put(cacheKey, JSON.stringify({ user, verifiedAt: now }), { expirationTtl: VERIFY_STALE_TTL });
+    if (backoff) await env.ONLINE_KV.delete(VERIFY_BACKOFF_KEY);
+    return user;
+  }
 
-        if (cachedOsuId !== currentOsuId) {
+  if (response.status === 401 || response.status === 403) {
+    await env.ONLINE_KV.put(cacheKey, JSON.stringify({ rejected: true }), { expirationTtl: VERIFY_REJECTED_TTL });
+    return null;
+  }
+
+  if (response.status === 429 || response.status >= 500) {
+    console.warn("[verify] osu! unavailable", response.status);
+    await startVerifyBackoff(env, backoff, response.headers.get("Retry-After"));
+    return cached?.user || null;
+  }
+
+  return null;
+}
+
+// Global (not per-token) backoff: when osu! is struggling every ping would hit the same wall
+async function startVerifyBackoff(env, previous, retryAfter) {
+  const failures = (previous?.failures || 0) + 1;
+  const retryAfterMs = parseInt(retryAfter) * 1000;
+  const delay = Number.isFinite(retryAfterMs) && retryAfterMs > 0
+    ? Math.min(retryAfterMs, VERIFY_BACKOFF_MAX_MS)
+    : Math.min(VERIFY_BACKOFF_BASE_MS * 2 ** (failures - 1), VERIFY_BACKOFF_MAX_MS);
+  await env.ONLINE_KV.put(VERIFY_BACKOFF_KEY, JSON.stringify({ until: Date.now() + delay, failures }), {
+    expirationTtl: Math.max(60, Math.ceil((delay + VERIFY_BACKOFF_MAX_MS) / 1000))
+  });
+}
+
+// ═══ Rate limiting & response cache ═══
+// Sliding window approximated from two fixed KV windows: the previous window's count is weighted by
+// how much of it still overlaps the sliding window. KV is eventually consistent, so budgets are soft.
+const RATE_LIMITS = {
+  ping: { limit: 30, windowSec: 300 },
+  leaderboard: { limit: 60, windowSec: 60 },
+  profile: { limit: 120, windowSec: 60 },
+  stats: { limit: 60, windowSec: 60 },
+  account: { limit: 60, windowSec: 60 }
+};
+
+const RESPONSE_CACHE_MS = 30 * 1000;
+
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || request.headers.get("X-Forwarded-For")?.split(",")[0].trim() || "unknown";
+}
+
+/**
+ * Counts one request against `bucket` for `identity`.
+ * Returns { allowed: true } or { allowed: false, retryAfter } with retryAfter in seconds.
+ * KV allows about one write per second per key, so a burst from one client can make the counter
+ * write throw; the limiter then fails open rather than turning the request into a 500.
+ */
+async function checkRateLimit(env, bucket, identity) {
+  const { limit, windowSec } = RATE_LIMITS[bucket];
+  const windowMs = windowSec * 1000;
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const elapsed = (now - window * windowMs) / windowMs;
+  const key = (w) => `rl:${bucket}:${identity}:${w}`;
+
+  try {
+    const [current, previous] = await Promise.all([env.ONLINE_KV.get(key(window)), env.ONLINE_KV.get(key(window - 1))]);
+    const currentCount = parseInt(current) || 0;
+    const weighted = (parseInt(previous) || 0) * (1 - elapsed) + currentCount;
+
+    if (weighted >= limit) {
+      return { allowed: false, retryAfter: Math.max(1, Math.ceil((1 - elapsed) * windowSec)) };
+    }
+    await env.ONLINE_KV.put(key(window), String(currentCount + 1), { expirationTtl: Math.max(60, windowSec * 2) });
+  } catch (e) {
+    console.warn("[ratelimit] KV unavailable, allowing request", bucket, e.message);
+  }
+  return { allowed: true };
+}
+
+// Cache key ignores query param order so equivalent requests share an entry
+function responseCacheKey(url) {
+  const params = [...url.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  return `resp_cache:${url.pathname}?${new URLSearchParams(params)}`;
+}
+
+// KV's minimum TTL is 60s, so freshness is enforced on read against the stored timestamp.
+// The cache is an optimisation only: KV errors read as a miss and skip the write.
+async function getCachedResponse(env, url) {
+  try {
+    const cached = await env.ONLINE_KV.get(responseCacheKey(url), "json");
+    return cached && Date.now() - cached.cachedAt < RESPONSE_CACHE_MS ? cached.body : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function putCachedResponse(env, url, body) {
+  try {
+    await env.ONLINE_KV.put(responseCacheKey(url), JSON.stringify({ cachedAt: Date.now(), body }), { expirationTtl: 60 });
+  } catch (e) {
+    console.warn("[cache] KV write failed", e.message);
+  }
+}
+
+// ═══ Responses ═══
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Admin-Secret, X-Admin-Actor",
+  "Access-Control-Expose-Headers": "Retry-After, X-Cache, ETag, X-Total-Count, X-Next-Cursor, X-Next-Offset"
+};
+
+// Thrown by route handlers to produce an error envelope; `details` is merged into the error object
+class ApiError extends Error {
+  constructor(status, code, message, details = null, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * The single place responses are built.
+ * /v1/ routes always get { data, error } with error = { code, message, ...details } or null.
+ * Unversioned aliases keep the shapes installed clients already parse: the bare data on success
+ * and { error: message, ...details } on failure.
+ * Non-JSON routes (e.g. SVG cards) pass `raw` and `contentType`; `raw: null` sends an empty body.
+ */
+function respond({ status = 200, data = null, error = null, headers = {}, legacy = false, raw, contentType }) {
+  if (raw !== undefined && !error) {
+    return new Response(raw, { status, headers: { ...CORS_HEADERS, "Content-Type": contentType, ...headers } });
+  }
+  let body;
+  if (legacy) {
+    body = error ? { error: error.message, ...error.details } : data;
+  } else {
+    body = { data: error ? null : data, error: error ? { code: error.code, message: error.message, ...error.details } : null };
+  }
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json; charset=utf-8", ...headers }
+  });
+}
+
+function notFound(message) {
+  return new ApiError(404, "not_found", message);
+}
+
+// ═══ Routes ═══
+// Handlers receive { request, env, url, params, ctx, legacy } and return { data, status?, headers? } or throw ApiError.
+
+async function handlePing({ request, env, ctx }) {
+  const declaredLength = parseInt(request.headers.get("Content-Length"));
+  const parsed = declaredLength > MAX_PING_BYTES
+    ? { errors: [{ field: "", message: `body must be at most ${MAX_PING_BYTES} bytes` }] }
+    : parsePingPayload(await request.text());
+  if (parsed.errors) {
+    throw new ApiError(400, "invalid_payload", "Invalid payload", { fields: parsed.errors });
+  }
+  const { userId, token, version, stats, graphs } = parsed.payload;
+
+  await enforceRateLimit(env, "ping", userId);
+
+  const now = Date.now();
+  let osuId = null;
+  let unlocked = [];
+
+  // Verify Token & Get Identity (Trusting osu! API)
+  if (token) {
+    try {
+      const user = await verifyOsuToken(env, token);
+      const lastSyncKey = `last_sync:${user?.id}`;
+      const lastSync = user ? await env.ONLINE_KV.get(lastSyncKey) : null;
+      // Players who deleted their data stay forgotten until they opt back in. They never get a
+      // last_sync key, so only pings without one pay for the tombstone lookup.
+      const forgotten = Boolean(user) && !lastSync && await isDeletedPlayer(env, user.id);
+      if (user && !forgotten) {
+        osuId = user.id;
+
+        // SMART WRITE: Only hit D1 if data changed or 6 hours passed
+        const shouldUpdate = !lastSync || (now - parseInt(lastSync)) > 21600000 || stats || graphs;
+
+        if (shouldUpdate) {
+          const bindings = [
+            user.id, user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
+            user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0
+          ];
+          const previous = await env.DB.prepare(
+            `SELECT total_plays, total_time, avg_pp, avg_acc, streak, form, last_seen, first_seen, opt_out FROM accounts WHERE osu_id = ?`
+          ).bind(osuId).first();
+
+          // Opted-out players keep their identity row fresh but their stats never leave the client.
+          // Each device reports its own local totals; the account row holds them merged across devices.
+          const acceptStats = Boolean(stats) && !previous?.opt_out;
+          const device = await saveDevice(env, { osuId, hardwareId: userId, version, stats: acceptStats ? stats : null, graphs, now });
+          const merged = acceptStats && device ? await mergeDeviceStats(env, osuId) : null;
+
+          if (merged) {
+            const { stats: totals, graphsJson, streak } = merged;
+            const subscriptions = await getWebhookSubscriptions(env, osuId);
+            const leaders = subscriptions.length ? await getMetricLeaders(env) : null;
+
+            bindings.push(totals.totalPlays || 0, totals.totalTime || 0, totals.avgAcc || 0, totals.avgPP || 0, totals.avgUR || 0, totals.form || "Unknown", totals.mentality || 0, graphsJson, streak, totals.perfMatch || 0, now);
             await env.DB.prepare(
-                `INSERT INTO sessions (hardware_id, osu_id, last_seen) 
-                 VALUES (?, ?, ?) 
-                 ON CONFLICT(hardware_id) DO UPDATE SET 
-                   osu_id = ?, last_seen = ?`
-            ).bind(userId, osuId, now, osuId, now).run();
-            await env.ONLINE_KV.put(sessCacheKey, currentOsuId);
+              `INSERT INTO accounts (osu_id, username, country, avatar_url, cover_url, last_seen, osu_ranked_score, osu_play_count, osu_level, total_plays, total_time, avg_acc, avg_pp, avg_ur, form, mentality, graphs_json, streak, perf_match, first_seen) 
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) 
+               ON CONFLICT(osu_id) DO UPDATE SET 
+                 username = ?, country = ?, avatar_url = ?, cover_url = ?, last_seen = ?,
+                 osu_ranked_score = ?, osu_play_count = ?, osu_level = ?,
+                 total_plays = ?, total_time = ?, avg_acc = ?, avg_pp = ?, avg_ur = ?, form = ?, mentality = ?, graphs_json = ?, streak = ?, perf_match = ?,
+                 first_seen = COALESCE(accounts.first_seen, excluded.first_seen)`
+            ).bind(
+              ...bindings,
+              user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
+              user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0,
+              totals.totalPlays || 0, totals.totalTime || 0, totals.avgAcc || 0, totals.avgPP || 0, totals.avgUR || 0, totals.form || "Unknown", totals.mentality || 0, graphsJson, streak, totals.perfMatch || 0
+            ).run();
+            await writeDailySnapshot(env, osuId, totals, streak, now);
+            // Progress is measured per device: the merged totals jump by a device's whole history when it
+            // first reports or is restored, which is neither season progress nor a suspicious burst
+            await accumulateSeasonStats(env, osuId, device.previous, stats, now);
+            unlocked = await evaluateAchievements(env, osuId, { ...totals, streak }, now);
+            const findings = checkPlausibility({ user, previous, device: { previous: device.previous, stats }, stats: totals, streak, now });
+            await recordPlausibility(env, osuId, findings, now);
+            if (subscriptions.length && await queueWebhookEvents(env, { osuId, previous, leaders, subscriptions, now })) {
+              ctx?.waitUntil(deliverWebhooks(env, now));
+            }
+          } else {
+            bindings.push(now);
+            await env.DB.prepare(
+              `INSERT INTO accounts (osu_id, username, country, avatar_url, cover_url, last_seen, osu_ranked_score, osu_play_count, osu_level, first_seen) 
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) 
+               ON CONFLICT(osu_id) DO UPDATE SET 
+                 username = ?, country = ?, avatar_url = ?, cover_url = ?, last_seen = ?,
+                 osu_ranked_score = ?, osu_play_count = ?, osu_level = ?,
+                 first_seen = COALESCE(accounts.first_seen, excluded.first_seen)`
+            ).bind(
+              ...bindings,
+              user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now,
+              user.statistics?.ranked_score || 0, user.statistics?.play_count || 0, user.statistics?.level?.current || 0
+            ).run();
+          }
+          await env.ONLINE_KV.put(lastSyncKey, now.toString());
         }
-        
-        return new Response(JSON.stringify({ status: "ok" }), {
-          headers: { ...corsHeaders, "Content-Type": "application/json" }
-        });
-      } catch (e) {
-        return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: corsHeaders });
       }
+    } catch (e) {
+      console.error("[ping] Account sync failed", e.message);
     }
-    
-    // Stats Endpoint: Simplified to only show Total Registered Users
-    if (url.pathname === "/stats" && request.method === "GET") {
-      try {
-          const totalResult = await env.DB.prepare("SELECT COUNT(*) as count FROM accounts WHERE total_plays > 0").first();
-          return new Response(JSON.stringify({
-            total_players: totalResult.count || 0
-          }), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
-      } catch (e) { return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: corsHeaders }); }
-    }
-
-    if (url.pathname === "/leaderboard" && request.method === "GET") {
-      try {
-          const search = url.searchParams.get("search") || "";
-          const sort = url.searchParams.get("sort") || "total_plays"; 
-          const order = url.searchParams.get("order") || "DESC";
-          
-          const allowedSorts = ["total_plays", "avg_pp", "avg_acc", "avg_ur", "streak", "last_seen", "osu_ranked_score", "osu_play_count"];
-          const finalSort = allowedSorts.includes(sort) ? sort : "total_plays";
-          const finalOrder = order.toUpperCase() === "ASC" ? "ASC" : "DESC";
-
-          let query = `SELECT osu_id, username, country, avatar_url, cover_url, total_plays, total_time, avg_pp, avg_acc, avg_ur, form, streak, last_seen, osu_ranked_score, perf_match 
-                       FROM accounts WHERE total_plays > 0`;
-          const params = [];
-          
-          if (search) {
-              query += " AND username LIKE ?";
-              params.push(`%${search}%`);
-          }
-          
-          query += ` ORDER BY ${finalSort} ${finalOrder} LIMIT 100`;
-          
-          const { results } = await env.DB.prepare(query).bind(...params).all();
-          return new Response(JSON.stringify(results), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
-      } catch (e) { return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: corsHeaders }); }
-    }
-
-    if (url.pathname.startsWith("/profile/u/") && request.method === "GET") {
-        try {
-            const username = url.pathname.split("/").pop();
-            const result = await env.DB.prepare(
-                `SELECT * FROM accounts WHERE username = ? COLLATE NOCASE`
-            ).bind(decodeURIComponent(username)).first();
-            
-            if (!result) {
-                return new Response(JSON.stringify({ error: "User not found" }), { status: 404, headers: corsHeaders });
-            }
-            
-            return new Response(JSON.stringify(result), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
-        } catch (e) { return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: corsHeaders }); }
+  }
+
+  // Maintain Session (Hardware ID -> osu_id link)
+  const sessCacheKey = `hw_link:${userId}`;
+  const cachedOsuId = await env.ONLINE_KV.get(sessCacheKey);
+  const currentOsuId = osuId ? osuId.toString() : "";
+
+  if (cachedOsuId !== currentOsuId) {
+    await env.DB.prepare(
+      `INSERT INTO sessions (hardware_id, osu_id, last_seen) 
+       VALUES (?, ?, ?) 
+       ON CONFLICT(hardware_id) DO UPDATE SET 
+         osu_id = ?, last_seen = ?`
+    ).bind(userId, osuId, now, osuId, now).run();
+    await env.ONLINE_KV.put(sessCacheKey, currentOsuId);
+    await env.ONLINE_KV.put(`hw_seen:${userId}`, utcDay(now), { expirationTtl: 2 * 86400 });
+  } else {
+    // Touch last_seen once per UTC day so active-player counts stay accurate without a write per ping
+    const seenKey = `hw_seen:${userId}`;
+    if (await env.ONLINE_KV.get(seenKey) !== utcDay(now)) {
+      await env.DB.prepare("UPDATE sessions SET last_seen = ? WHERE hardware_id = ?").bind(now, userId).run();
+      await env.ONLINE_KV.put(seenKey, utcDay(now), { expirationTtl: 2 * 86400 });
+    }
+  }
+
+  return { data: unlocked.length ? { status: "ok", unlocked } : { status: "ok" } };
+}
+
+// Stats Endpoint: community dashboard, precomputed by the "community_stats" job
+async function handleStats({ env }) {
+  const cached = await env.ONLINE_KV.get(COMMUNITY_STATS_KEY, "json");
+  if (cached) return { data: cached, headers: { "X-Cache": "HIT" } };
+
+  // First request after a deploy (or KV eviction) computes inline rather than waiting for the cron
+  const data = await refreshCommunityStats(env, Date.now());
+  return { data, headers: { "X-Cache": "MISS" } };
+}
+
+/**
+ * The unversioned leaderboards have always answered with a bare array of rows, so for them the
+ * paging metadata moves into X-Total-Count / X-Next-Cursor / X-Next-Offset headers.
+ */
+function leaderboardResult(page, legacy, headers = {}) {
+  if (!legacy) return { data: page, headers };
+  const paging = { "X-Total-Count": String(page.total) };
+  if (page.next_cursor) paging["X-Next-Cursor"] = page.next_cursor;
+  if (page.next_offset !== null) paging["X-Next-Offset"] = String(page.next_offset);
+  return { data: page.results, headers: { ...headers, ...paging } };
+}
+
+async function handleLeaderboard({ env, url, params, legacy }) {
+  const cached = await getCachedResponse(env, url);
+  if (cached) return leaderboardResult(cached, legacy, { "X-Cache": "HIT" });
+
+  const searchParams = new URLSearchParams(url.searchParams);
+  if (params[0]) searchParams.set("country", params[0]);
+
+  const page = searchParams.get("season")
+    ? await querySeasonLeaderboard(env, searchParams)
+    : await queryLeaderboard(env, searchParams);
+  if (page.error) throw new ApiError(400, "invalid_query", page.error);
+  await putCachedResponse(env, url, page);
+  return leaderboardResult(page, legacy, { "X-Cache": "MISS" });
+}
+
+// Country Summary: player counts and averages per country
+async function handleCountries({ env }) {
+  const { results } = await env.DB.prepare(
+    `SELECT country, COUNT(*) as players, AVG(avg_pp) as avg_pp, AVG(avg_acc) as avg_acc, AVG(NULLIF(avg_ur, 0)) as avg_ur, SUM(total_plays) as total_plays
+     FROM accounts WHERE ${RANKED_WHERE}
+     GROUP BY country ORDER BY players DESC, avg_pp DESC`
+  ).all();
+  return { data: results };
+}
+
+async function handleProfileRanks({ env, params }) {
+  const account = await env.DB.prepare(
+    `SELECT osu_id, username, country, total_plays, flagged, ${Object.keys(RANK_METRICS).join(", ")} FROM accounts WHERE username = ? COLLATE NOCASE AND ${visibleWhere()}`
+  ).bind(params[0]).first();
+  if (!account) throw notFound("User not found");
+
+  const { players, ranks } = await getAccountRanks(env, account);
+  return {
+    data: {
+      osu_id: account.osu_id,
+      username: account.username,
+      country: account.country,
+      players,
+      ranks
+    }
+  };
+}
+
+async function handleProfileHistory({ env, url, params }) {
+  const account = await env.DB.prepare(
+    `SELECT osu_id, username FROM accounts WHERE username = ? COLLATE NOCASE AND ${visibleWhere()}`
+  ).bind(params[0]).first();
+  if (!account) throw notFound("User not found");
+
+  const daysParam = parseInt(url.searchParams.get("days"));
+  const days = Number.isFinite(daysParam) ? Math.min(Math.max(daysParam, 1), HISTORY_MAX_DAYS) : HISTORY_DEFAULT_DAYS;
+  const since = utcDay(Date.now() - (days - 1) * 86400000);
+
+  const { results } = await env.DB.prepare(
+    `SELECT day, ${HISTORY_SERIES.join(", ")} FROM account_snapshots WHERE osu_id = ? AND day >= ? ORDER BY day ASC`
+  ).bind(account.osu_id, since).all();
+
+  const series = {};
+  for (const column of HISTORY_SERIES) series[column] = results.map(r => r[column]);
+
+  return {
+    data: {
+      osu_id: account.osu_id,
+      username: account.username,
+      days,
+      dates: results.map(r => r.day),
+      series
+    }
+  };
+}
+
+async function handleProfile({ env, params }) {
+  const result = await env.DB.prepare(
+    `SELECT * FROM accounts WHERE username = ? COLLATE NOCASE AND ${visibleWhere()}`
+  ).bind(params[0]).first();
+  if (!result) throw notFound("User not found");
+  return { data: result };
+}
+
+// Player routes authenticate with the same osu! access token the client sends to /ping, as a Bearer header
+async function requireOsuUser(request, env) {
+  const header = request.headers.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) throw new ApiError(401, "unauthorized", "Missing osu! token");
+  const user = await verifyOsuToken(env, token);
+  if (!user) throw new ApiError(401, "unauthorized", "Invalid osu! token");
+  return { user, token };
+}
+
+// ═══ Achievements ═══
+// Rules are data: `metric` is a field of the submitted stats (totalTime is in minutes), unlocked once it
+// reaches `min` (or drops to `max` for lower-is-better metrics), optionally only after `minPlays` tracked plays.
+const ACHIEVEMENTS = [
+  { id: "streak_7", name: "Week Warrior", description: "Reach a 7-day goal streak", metric: "streak", min: 7 },
+  { id: "streak_30", name: "Habit Formed", description: "Reach a 30-day goal streak", metric: "streak", min: 30 },
+  { id: "streak_100", name: "Unbreakable", description: "Reach a 100-day goal streak", metric: "streak", min: 100 },
+  { id: "plays_100", name: "Warming Up", description: "Track 100 plays", metric: "totalPlays", min: 100 },
+  { id: "plays_1000", name: "Grinder", description: "Track 1,000 plays", metric: "totalPlays", min: 1000 },
+  { id: "plays_10000", name: "No-Lifer", description: "Track 10,000 plays", metric: "totalPlays", min: 10000 },
+  { id: "hours_10", name: "Getting Invested", description: "Play for 10 tracked hours", metric: "totalTime", min: 10 * 60 },
+  { id: "hours_100", name: "Centurion", description: "Play for 100 tracked hours", metric: "totalTime", min: 100 * 60 },
+  { id: "hours_500", name: "Lifer", description: "Play for 500 tracked hours", metric: "totalTime", min: 500 * 60 },
+  { id: "perf_match_95", name: "In Form", description: "Hold a performance match above 95%", metric: "perfMatch", min: 95, minPlays: 50 },
+  { id: "acc_98", name: "Precision", description: "Average 98% accuracy over at least 500 plays", metric: "avgAcc", min: 0.98, minPlays: 500 },
+  { id: "ur_80", name: "Metronome", description: "Average under 80 UR over at least 500 plays", metric: "avgUR", max: 80, minPlays: 500 }
+];
+
+function achievementMet(achievement, stats) {
+  const value = stats[achievement.metric];
+  if (typeof value !== "number") return false;
+  if (achievement.minPlays && (stats.totalPlays || 0) < achievement.minPlays) return false;
+  if (achievement.min !== undefined && value < achievement.min) return false;
+  // A 0 UR means "no data", not a perfect score
+  if (achievement.max !== undefined && (value <= 0 || value > achievement.max)) return false;
+  return true;
+}
+
+// Records newly met achievements and returns their ids; unlocks are permanent even if stats drop later
+async function evaluateAchievements(env, osuId, stats, now) {
+  const { results } = await env.DB.prepare("SELECT achievement_id FROM achievements WHERE osu_id = ?").bind(osuId).all();
+  const owned = new Set(results.map(r => r.achievement_id));
+  const fresh = ACHIEVEMENTS.filter(a => !owned.has(a.id) && achievementMet(a, stats)).map(a => a.id);
+  if (fresh.length) {
+    await env.DB.batch(fresh.map(id => env.DB.prepare(
+      "INSERT INTO achievements (osu_id, achievement_id, unlocked_at) VALUES (?, ?, ?) ON CONFLICT(osu_id, achievement_id) DO NOTHING"
+    ).bind(osuId, id, now)));
+  }
+  return fresh;
+}
+
+function describeAchievement({ id, name, description }) {
+  return { id, name, description };
+}
+
+async function handleProfileAchievements({ env, params }) {
+  const account = await findPublicAccount(env, params[0]);
+  if (!account) throw notFound("User not found");
+
+  const { results } = await env.DB.prepare("SELECT achievement_id, unlocked_at FROM achievements WHERE osu_id = ?").bind(account.osu_id).all();
+  const unlockedAt = new Map(results.map(r => [r.achievement_id, r.unlocked_at]));
+  return {
+    data: {
+      osu_id: account.osu_id,
+      username: account.username,
+      unlocked: unlockedAt.size,
+      total: ACHIEVEMENTS.length,
+      achievements: ACHIEVEMENTS.map(a => ({ ...describeAchievement(a), unlocked_at: unlockedAt.get(a.id) ?? null }))
+    }
+  };
+}
+
+// Unlock rates are relative to players currently on the public boards
+async function handleAchievements({ env }) {
+  const [{ results }, players] = await Promise.all([
+    env.DB.prepare(
+      `SELECT h.achievement_id, COUNT(*) as unlocks FROM achievements h JOIN accounts a ON a.osu_id = h.osu_id
+       WHERE ${rankedWhere("a")} GROUP BY h.achievement_id`
+    ).all(),
+    env.DB.prepare(`SELECT COUNT(*) as count FROM accounts WHERE ${RANKED_WHERE}`).first()
+  ]);
+  const unlocks = new Map(results.map(r => [r.achievement_id, r.unlocks]));
+  const total = players?.count || 0;
+  return {
+    data: {
+      players: total,
+      achievements: ACHIEVEMENTS.map(a => {
+        const count = unlocks.get(a.id) || 0;
+        return { ...describeAchievement(a), unlocks: count, rate: total ? count / total : 0 };
+      })
+    }
+  };
+}
+
+// ═══ Profile card ═══
+
+const CARD_THEMES = {
+  dark: { background: "#15131c", panel: "#201d2b", text: "#f2f0f7", muted: "#9a95ad", accent: "#ff66aa", line: "#ff66aa" },
+  light: { background: "#f6f5fa", panel: "#ffffff", text: "#1d1a26", muted: "#6d6880", accent: "#d6307a", line: "#d6307a" },
+  osu: { background: "#2a2226", panel: "#3a2f35", text: "#ffffff", muted: "#c7b6bf", accent: "#ff66aa", line: "#66ccff" }
+};
+
+const CARD_LAYOUTS = {
+  full: { width: 495, height: 195, sparkline: true },
+  compact: { width: 350, height: 110, sparkline: false }
+};
+
+// Timeline keys as sent by the client in graphs.timeline
+const CARD_SPARKLINE_METRICS = { pp: "pp", acc: "acc", ur: "ur", match: "m" };
+const CARD_SPARKLINE_POINTS = 30;
+const CARD_MAX_AGE = 600;
+
+const FORM_COLORS = { Peak: "#b1f35e", Great: "#66ccff", Stable: "#ffd966", Slumping: "#ff9f43", Burnout: "#ff5c5c" };
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" }[c]));
+}
+
+function formatCardNumber(value, digits = 0) {
+  return Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function sparklinePoints(graphsJson, metric) {
+  try {
+    const timeline = JSON.parse(graphsJson || "{}").timeline;
+    if (!Array.isArray(timeline)) return [];
+    return timeline.slice(-CARD_SPARKLINE_POINTS).map(p => p?.[CARD_SPARKLINE_METRICS[metric]]).filter(v => typeof v === "number" && v > 0);
+  } catch (e) {
+    return [];
+  }
+}
+
+function sparklinePath(values, x, y, width, height) {
+  if (values.length < 2) return "";
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  return values.map((v, i) => {
+    const px = x + (i / (values.length - 1)) * width;
+    const py = y + height - ((v - min) / range) * height;
+    return `${i === 0 ? "M" : "L"}${px.toFixed(1)},${py.toFixed(1)}`;
+  }).join(" ");
+}
+
+function renderProfileCard(account, { theme, layout, metric }) {
+  const t = CARD_THEMES[theme];
+  const l = CARD_LAYOUTS[layout];
+  const name = escapeXml(account.username);
+  const initial = escapeXml((account.username || "?").charAt(0).toUpperCase());
+  const form = account.form && account.form !== "Unknown" ? account.form : null;
+
+  const stats = [
+    ["Avg PP", formatCardNumber(account.avg_pp, 1)],
+    ["Accuracy", `${formatCardNumber((account.avg_acc || 0) * 100, 2)}%`],
+    ["UR", account.avg_ur > 0 ? formatCardNumber(account.avg_ur, 1) : "-"],
+    ["Streak", `${formatCardNumber(account.streak)}d`],
+    ["Perf Match", `${formatCardNumber(account.perf_match, 1)}%`]
+  ];
+  const shown = layout === "compact" ? stats.slice(0, 3) : stats;
+  const columnWidth = (l.width - 40) / shown.length;
+  const statsY = layout === "compact" ? 78 : 100;
+
+  const statCells = shown.map(([label, value], i) => `
+    <text x="${20 + i * columnWidth}" y="${statsY}" class="label">${label}</text>
+    <text x="${20 + i * columnWidth}" y="${statsY + 20}" class="value">${escapeXml(value)}</text>`).join("");
+
+  let sparkline = "";
+  if (l.sparkline) {
+    const path = sparklinePath(sparklinePoints(account.graphs_json, metric), 20, 140, l.width - 40, 40);
+    sparkline = path
+      ? `<path d="${path}" fill="none" stroke="${t.line}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>`
+      : `<text x="20" y="165" class="label">No recent activity</text>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${l.width}" height="${l.height}" viewBox="0 0 ${l.width} ${l.height}" role="img" aria-label="${name}'s OsuGrind stats">
+  <style>
+    .name { font: 700 18px 'Segoe UI', Ubuntu, sans-serif; fill: ${t.text}; }
+    .meta { font: 400 12px 'Segoe UI', Ubuntu, sans-serif; fill: ${t.muted}; }
+    .label { font: 400 11px 'Segoe UI', Ubuntu, sans-serif; fill: ${t.muted}; }
+    .value { font: 700 15px 'Segoe UI', Ubuntu, sans-serif; fill: ${t.text}; }
+    .form { font: 700 11px 'Segoe UI', Ubuntu, sans-serif; }
+  </style>
+  <rect width="${l.width}" height="${l.height}" rx="10" fill="${t.background}"/>
+  <rect x="1" y="1" width="${l.width - 2}" height="${l.height - 2}" rx="9" fill="${t.panel}" stroke="${t.accent}" stroke-opacity="0.35"/>
+  <circle cx="38" cy="36" r="18" fill="${t.accent}"/>
+  <text x="38" y="42" text-anchor="middle" class="value" style="fill: ${t.background}">${initial}</text>
+  <text x="66" y="34" class="name">${name}</text>
+  <text x="66" y="51" class="meta">${escapeXml(account.country || "XX")} · ${formatCardNumber(account.total_plays)} plays tracked</text>
+  ${form ? `<text x="${l.width - 20}" y="34" text-anchor="end" class="form" style="fill: ${FORM_COLORS[form] || t.accent}">${escapeXml(form.toUpperCase())}</text>` : ""}
+  ${statCells}
+  ${sparkline}
+</svg>`;
+}
+
+async function handleProfileCard({ request, env, url, params }) {
+  const theme = CARD_THEMES[url.searchParams.get("theme")] ? url.searchParams.get("theme") : "dark";
+  const layout = CARD_LAYOUTS[url.searchParams.get("layout")] ? url.searchParams.get("layout") : "full";
+  const metric = CARD_SPARKLINE_METRICS[url.searchParams.get("metric")] ? url.searchParams.get("metric") : "pp";
+
+  const account = await env.DB.prepare(
+    `SELECT osu_id, username, country, total_plays, avg_pp, avg_acc, avg_ur, form, streak, perf_match, graphs_json
+     FROM accounts WHERE username = ? COLLATE NOCASE AND ${visibleWhere()}`
+  ).bind(params[0]).first();
+  if (!account) throw notFound("User not found");
+
+  // Hashing the rendered card keeps the ETag correct for any change, including admin wipes
+  const svg = renderProfileCard(account, { theme, layout, metric });
+  const etag = `"${(await sha256Hex(svg)).slice(0, 32)}"`;
+  const headers = { "ETag": etag, "Cache-Control": `public, max-age=${CARD_MAX_AGE}` };
+  if (request.headers.get("If-None-Match") === etag) {
+    return { status: 304, raw: null, contentType: "image/svg+xml", headers };
+  }
+  return { raw: svg, contentType: "image/svg+xml; charset=utf-8", headers };
+}
+
+// ═══ Follows ═══
+
+const FOLLOW_LIST_COLUMNS = "a.osu_id, a.username, a.country, a.avatar_url, a.avg_pp, a.avg_acc, a.streak, a.last_seen, f.source, f.created_at as followed_at";
+const MAX_FOLLOWS = 500;
+
+async function findPublicAccount(env, username) {
+  return env.DB.prepare(`SELECT osu_id, username FROM accounts WHERE username = ? COLLATE NOCASE AND ${visibleWhere()}`).bind(username).first();
+}
+
+async function handleFollow({ request, env, params }) {
+  const { user } = await requireOsuUser(request, env);
+  const target = await findPublicAccount(env, params[0]);
+  if (!target) throw notFound("User not found");
+  if (target.osu_id === user.id) throw new ApiError(400, "invalid_target", "You can't follow yourself");
+
+  const count = await env.DB.prepare("SELECT COUNT(*) as count FROM follows WHERE follower_id = ?").bind(user.id).first();
+  if ((count?.count || 0) >= MAX_FOLLOWS) throw new ApiError(400, "follow_limit", `You can follow at most ${MAX_FOLLOWS} players`);
+
+  await env.DB.prepare(
+    "INSERT INTO follows (follower_id, followee_id, source, created_at) VALUES (?, ?, 'manual', ?) ON CONFLICT(follower_id, followee_id) DO NOTHING"
+  ).bind(user.id, target.osu_id, Date.now()).run();
+  return { data: { status: "ok", following: target } };
+}
+
+async function handleUnfollow({ request, env, params }) {
+  const { user } = await requireOsuUser(request, env);
+  const target = await env.DB.prepare("SELECT osu_id FROM accounts WHERE username = ? COLLATE NOCASE").bind(params[0]).first();
+  if (!target) throw notFound("User not found");
+
+  await env.DB.prepare("DELETE FROM follows WHERE follower_id = ? AND followee_id = ?").bind(user.id, target.osu_id).run();
+  return { data: { status: "ok" } };
+}
+
+async function handleFollowing({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const { results } = await env.DB.prepare(
+    `SELECT ${FOLLOW_LIST_COLUMNS} FROM follows f JOIN accounts a ON a.osu_id = f.followee_id
+     WHERE f.follower_id = ? AND ${visibleWhere("a")} ORDER BY a.username COLLATE NOCASE`
+  ).bind(user.id).all();
+  return { data: results };
+}
+
+async function handleFollowers({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const { results } = await env.DB.prepare(
+    `SELECT ${FOLLOW_LIST_COLUMNS} FROM follows f JOIN accounts a ON a.osu_id = f.follower_id
+     WHERE f.followee_id = ? AND ${visibleWhere("a")} ORDER BY f.created_at DESC`
+  ).bind(user.id).all();
+  return { data: results };
+}
+
+// Same query params as /leaderboard, restricted to followed players plus the caller
+async function handleFollowingLeaderboard({ request, env, url, legacy }) {
+  const { user } = await requireOsuUser(request, env);
+  const page = await queryLeaderboard(env, url.searchParams, {
+    sql: "(osu_id = ? OR osu_id IN (SELECT followee_id FROM follows WHERE follower_id = ?))",
+    params: [user.id, user.id]
+  });
+  if (page.error) throw new ApiError(400, "invalid_query", page.error);
+  return leaderboardResult(page, legacy);
+}
+
+/**
+ * Follows everyone on the caller's osu! friends list. Needs the friends.read scope on the token;
+ * friends who haven't used OsuGrind yet are stored too and show up once they ping.
+ */
+async function handleImportFriends({ request, env }) {
+  const { user, token } = await requireOsuUser(request, env);
+
+  let response;
+  try {
+    response = await fetch(`${osuApiBase(env)}/friends`, { headers: { "Authorization": `Bearer ${token}` } });
+  } catch (e) {
+    throw new ApiError(502, "upstream_unavailable", "osu! API unreachable");
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new ApiError(403, "missing_scope", "Token lacks the friends.read scope");
+  }
+  if (!response.ok) throw new ApiError(502, "upstream_unavailable", `osu! API returned ${response.status}`);
+
+  const friends = await response.json();
+  const friendIds = (Array.isArray(friends) ? friends : [])
+    .map(f => f?.target_id ?? f?.id)
+    .filter(id => Number.isInteger(id) && id !== user.id)
+    .slice(0, MAX_FOLLOWS);
+
+  const now = Date.now();
+  if (friendIds.length) {
+    await env.DB.batch(friendIds.map(id => env.DB.prepare(
+      "INSERT INTO follows (follower_id, followee_id, source, created_at) VALUES (?, ?, 'osu_friends', ?) ON CONFLICT(follower_id, followee_id) DO NOTHING"
+    ).bind(user.id, id, now)));
+  }
+  return { data: { status: "ok", imported: friendIds.length } };
+}
+
+// ═══ Seasons ═══
+// Auto seasons (weekly: Monday 00:00 UTC, monthly: the 1st) are created on demand; custom ones come from admins.
+// Season stats only count growth seen between pings, so history imported before a season never lands in it.
+const DEFAULT_SEASON_KINDS = "weekly,monthly";
+const SEASON_STANDINGS_SIZE = 100;
+const SEASON_MIN_PLAYS_FOR_AVERAGES = 10;
+
+// Season board metrics; the average ones need SEASON_MIN_PLAYS_FOR_AVERAGES plays to be ranked
+const SEASON_METRICS = {
+  plays: { sql: "s.plays", average: false },
+  time: { sql: "s.time", average: false },
+  avg_pp: { sql: "s.pp_sum / s.plays", average: true },
+  avg_acc: { sql: "s.acc_sum / s.plays", average: true }
+};
+
+function seasonKinds(env) {
+  return (env.SEASON_KINDS || DEFAULT_SEASON_KINDS).split(",").map(k => k.trim()).filter(k => k === "weekly" || k === "monthly");
+}
+
+function autoSeasonWindow(kind, now) {
+  const date = new Date(now);
+  if (kind === "weekly") {
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return { id: `weekly-${utcDay(start)}`, name: `Week of ${utcDay(start)}`, kind, starts_at: start, ends_at: start + 7 * 86400000 };
+  }
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  const end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return { id: `monthly-${utcDay(start).slice(0, 7)}`, name: utcDay(start).slice(0, 7), kind, starts_at: start, ends_at: end };
+}
+
+async function ensureAutoSeasons(env, now) {
+  const windows = seasonKinds(env).map(kind => autoSeasonWindow(kind, now));
+  if (!windows.length) return;
+  await env.DB.batch(windows.map(w => env.DB.prepare(
+    "INSERT INTO seasons (id, name, kind, starts_at, ends_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO NOTHING"
+  ).bind(w.id, w.name, w.kind, w.starts_at, w.ends_at)));
+}
+
+async function getActiveSeasons(env, now) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, kind FROM seasons WHERE starts_at <= ? AND ends_at > ? AND closed_at IS NULL"
+  ).bind(now, now).all();
+  return results;
+}
+
+/**
+ * Adds the plays/time/pp/acc a device gained since its previous report to every open season.
+ * `previous` is that device's stats row and `stats` its submitted totals. Without a baseline (a device's
+ * first report, or one after an admin wipe or an opt-out removed its row) the totals are lifetime history,
+ * not progress, so nothing is counted.
+ */
+async function accumulateSeasonStats(env, osuId, previous, stats, now) {
+  if (!(previous?.total_plays > 0)) return;
+  const plays = (stats.totalPlays || 0) - (previous.total_plays || 0);
+  if (plays <= 0) return;
+  const time = Math.max(0, (stats.totalTime || 0) - (previous.total_time || 0));
+  // Sum of the new plays' values, recovered from the change in the running averages
+  const ppSum = Math.max(0, (stats.avgPP || 0) * stats.totalPlays - (previous.avg_pp || 0) * previous.total_plays);
+  const accSum = Math.min(plays, Math.max(0, (stats.avgAcc || 0) * stats.totalPlays - (previous.avg_acc || 0) * previous.total_plays));
+
+  let seasons = await getActiveSeasons(env, now);
+  const kinds = seasonKinds(env);
+  if (kinds.some(kind => !seasons.some(season => season.kind === kind))) {
+    await ensureAutoSeasons(env, now);
+    seasons = await getActiveSeasons(env, now);
+  }
+  if (!seasons.length) return;
+
+  await env.DB.batch(seasons.map(season => env.DB.prepare(
+    `INSERT INTO season_stats (season_id, osu_id, plays, time, pp_sum, acc_sum, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(season_id, osu_id) DO UPDATE SET
+       plays = plays + excluded.plays, time = time + excluded.time, pp_sum = pp_sum + excluded.pp_sum,
+       acc_sum = acc_sum + excluded.acc_sum, updated_at = excluded.updated_at`
+  ).bind(season.id, osuId, plays, time, ppSum, accSum, now)));
+}
+
+// "current" resolves to the open season of the first configured kind
+async function resolveSeason(env, id) {
+  if (id === "current") {
+    const now = Date.now();
+    const kind = seasonKinds(env)[0];
+    if (!kind) return null;
+    await ensureAutoSeasons(env, now);
+    id = autoSeasonWindow(kind, now).id;
+  }
+  return env.DB.prepare("SELECT id, name, kind, starts_at, ends_at, closed_at FROM seasons WHERE id = ?").bind(id).first();
+}
+
+/**
+ * Season board for /leaderboard?season=. Open seasons are ranked live from season_stats;
+ * closed seasons return the standings frozen when they were closed.
+ * Supports sort (one SEASON_METRICS key), country, limit and offset.
+ */
+async function querySeasonLeaderboard(env, searchParams) {
+  const season = await resolveSeason(env, searchParams.get("season"));
+  if (!season) return { error: "Unknown season" };
+
+  const metric = searchParams.get("sort") || "plays";
+  if (!SEASON_METRICS[metric]) return { error: `Invalid season sort, expected one of ${Object.keys(SEASON_METRICS).join(", ")}` };
+
+  const limitParam = parseInt(searchParams.get("limit"));
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), LEADERBOARD_MAX_LIMIT) : LEADERBOARD_DEFAULT_LIMIT;
+  const offsetParam = parseInt(searchParams.get("offset"));
+  const offset = Number.isFinite(offsetParam) && offsetParam > 0 ? offsetParam : 0;
+  const country = searchParams.get("country");
+  if (country && !/^[A-Za-z]{2}$/.test(country)) return { error: "Invalid value for country" };
+
+  let where;
+  let params;
+  let query;
+  if (season.closed_at) {
+    where = ["season_id = ?", "metric = ?"];
+    params = [season.id, metric];
+    if (country) { where.push("country = ?"); params.push(country.toUpperCase()); }
+    query = `SELECT rank, osu_id, username, country, value FROM season_standings WHERE ${where.join(" AND ")} ORDER BY rank ASC`;
+  } else {
+    where = ["s.season_id = ?", "a.flagged = 0", visibleWhere("a")];
+    params = [season.id];
+    if (SEASON_METRICS[metric].average) { where.push("s.plays >= ?"); params.push(SEASON_MIN_PLAYS_FOR_AVERAGES); }
+    if (country) { where.push("a.country = ?"); params.push(country.toUpperCase()); }
+    query = `SELECT a.osu_id, a.username, a.country, a.avatar_url, s.plays, s.time, s.pp_sum / s.plays as avg_pp, s.acc_sum / s.plays as avg_acc,
+               ${SEASON_METRICS[metric].sql} as value
+             FROM season_stats s JOIN accounts a ON a.osu_id = s.osu_id
+             WHERE ${where.join(" AND ")} ORDER BY value DESC, a.osu_id ASC`;
+  }
+  const from = season.closed_at ? "season_standings" : "season_stats s JOIN accounts a ON a.osu_id = s.osu_id";
+  const totalResult = await env.DB.prepare(`SELECT COUNT(*) as count FROM ${from} WHERE ${where.join(" AND ")}`).bind(...params).first();
+  const { results } = await env.DB.prepare(`${query} LIMIT ? OFFSET ?`).bind(...params, limit, offset).all();
+
+  const total = totalResult?.count || 0;
+  return {
+    season,
+    sort: metric,
+    results: results.map((r, i) => ({ rank: r.rank ?? offset + i + 1, ...r })),
+    total,
+    limit,
+    offset,
+    next_cursor: null,
+    next_offset: offset + limit < total ? offset + limit : null
+  };
+}
+
+// Freezes the top SEASON_STANDINGS_SIZE of every metric for each season that has ended
+async function closeEndedSeasons(env, now) {
+  const { results: ended } = await env.DB.prepare("SELECT id FROM seasons WHERE ends_at <= ? AND closed_at IS NULL").bind(now).all();
+  for (const season of ended) {
+    const statements = [env.DB.prepare("DELETE FROM season_standings WHERE season_id = ?").bind(season.id)];
+    for (const [metric, { sql, average }] of Object.entries(SEASON_METRICS)) {
+      statements.push(env.DB.prepare(
+        `INSERT INTO season_standings (season_id, metric, rank, osu_id, username, country, value)
+         SELECT ?, ?, ROW_NUMBER() OVER (ORDER BY ${sql} DESC, a.osu_id ASC), a.osu_id, a.username, a.country, ${sql}
+         FROM season_stats s JOIN accounts a ON a.osu_id = s.osu_id
+         WHERE s.season_id = ? AND a.flagged = 0 AND ${visibleWhere("a")} ${average ? "AND s.plays >= ?" : ""}
+         ORDER BY ${sql} DESC, a.osu_id ASC LIMIT ?`
+      ).bind(season.id, metric, season.id, ...(average ? [SEASON_MIN_PLAYS_FOR_AVERAGES] : []), SEASON_STANDINGS_SIZE));
+    }
+    statements.push(env.DB.prepare("UPDATE seasons SET closed_at = ? WHERE id = ?").bind(now, season.id));
+    await env.DB.batch(statements);
+    console.log("[seasons] Closed season", season.id);
+  }
+  return { closed: ended.length };
+}
+
+async function handleSeasons({ env, url }) {
+  const now = Date.now();
+  await ensureAutoSeasons(env, now);
+  const kind = url.searchParams.get("kind");
+  const { results: seasons } = await env.DB.prepare(
+    `SELECT id, name, kind, starts_at, ends_at, closed_at FROM seasons ${kind ? "WHERE kind = ?" : ""} ORDER BY starts_at DESC LIMIT 100`
+  ).bind(...(kind ? [kind] : [])).all();
+
+  const closedIds = seasons.filter(s => s.closed_at).map(s => s.id);
+  const winners = {};
+  if (closedIds.length) {
+    const { results } = await env.DB.prepare(
+      `SELECT season_id, metric, osu_id, username, country, value FROM season_standings
+       WHERE rank = 1 AND season_id IN (${closedIds.map(() => "?").join(", ")})`
+    ).bind(...closedIds).all();
+    for (const row of results) {
+      (winners[row.season_id] ||= {})[row.metric] = { osu_id: row.osu_id, username: row.username, country: row.country, value: row.value };
+    }
+  }
+
+  return {
+    data: seasons.map(season => ({
+      ...season,
+      active: !season.closed_at && season.starts_at <= now && season.ends_at > now,
+      winners: winners[season.id] || null
+    }))
+  };
+}
+
+async function handleAdminCreateSeason({ request, env }) {
+  const body = await request.json().catch(() => ({}));
+  const errors = [];
+  const season = validateObject(body, {
+    id: { type: "string", required: true, maxLength: 64 },
+    name: { type: "string", required: true, maxLength: 100 },
+    starts_at: { type: "integer", required: true, min: 0 },
+    ends_at: { type: "integer", required: true, min: 0 }
+  }, "", errors);
+  if (!errors.length && !/^[a-z0-9-]+$/.test(season.id)) errors.push({ field: "id", message: "must be lowercase letters, digits and dashes" });
+  if (!errors.length && season.ends_at <= season.starts_at) errors.push({ field: "ends_at", message: "must be after starts_at" });
+  if (errors.length) throw new ApiError(400, "invalid_payload", "Invalid season", { fields: errors });
+
+  const id = `custom-${season.id}`;
+  const result = await env.DB.prepare(
+    "INSERT INTO seasons (id, name, kind, starts_at, ends_at) VALUES (?, ?, 'custom', ?, ?) ON CONFLICT(id) DO NOTHING"
+  ).bind(id, season.name, season.starts_at, season.ends_at).run();
+  if (!result.meta?.changes) throw new ApiError(409, "conflict", "Season already exists");
+
+  await writeAudit(env, request, "create_season", id, season);
+  return { status: 201, data: { id, ...season, kind: "custom" } };
+}
+
+// ═══ Compare ═══
+const COMPARE_MAX_USERS = 5;
+const COMPARE_DEFAULT_DAYS = 30;
+const COMPARE_MAX_DAYS = 365;
+
+// Account columns compared side by side; avg_ur is lower-is-better and 0 means "no data"
+const COMPARE_METRICS = {
+  total_plays: "desc",
+  total_time: "desc",
+  avg_pp: "desc",
+  avg_acc: "desc",
+  avg_ur: "asc",
+  streak: "desc",
+  perf_match: "desc",
+  osu_ranked_score: "desc"
+};
+
+// Output series name -> timeline key as sent by the client in graphs.timeline
+const COMPARE_SERIES = { plays: "p", time: "t", pp: "pp", acc: "acc", ur: "ur", match: "m" };
+
+function parseTimeline(graphsJson) {
+  try {
+    const timeline = JSON.parse(graphsJson || "{}").timeline;
+    return Array.isArray(timeline) ? timeline.filter(p => typeof p?.d === "string") : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function compareMetric(order, values) {
+  const present = values.filter(v => typeof v === "number" && !(order === "asc" && v <= 0));
+  if (!present.length) return { best: null, winner: null, deltas: values.map(() => null) };
+  const best = order === "asc" ? Math.min(...present) : Math.max(...present);
+  const leaders = values.filter(v => v === best).length;
+  return {
+    best,
+    // Index into `users`; ties have no winner
+    winner: leaders === 1 ? values.indexOf(best) : null,
+    deltas: values.map(v => present.includes(v) ? v - best : null)
+  };
+}
+
+/**
+ * Side-by-side comparison for a rival screen: ?users=a,b,c (2 to COMPARE_MAX_USERS names, in display order).
+ * Timelines are aligned on the union of dates in the last `days` days, with null where a player has no point.
+ */
+async function handleCompare({ env, url }) {
+  const names = [];
+  for (const raw of (url.searchParams.get("users") || "").split(",")) {
+    const name = raw.trim();
+    if (name && !names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+  }
+  if (names.length < 2 || names.length > COMPARE_MAX_USERS) {
+    throw new ApiError(400, "invalid_query", `users must list between 2 and ${COMPARE_MAX_USERS} distinct usernames`);
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT osu_id, username, country, avatar_url, form, graphs_json, ${Object.keys(COMPARE_METRICS).join(", ")}
+     FROM accounts WHERE username COLLATE NOCASE IN (${names.map(() => "?").join(", ")}) AND ${visibleWhere()}`
+  ).bind(...names).all();
+  const accounts = names.map(name => results.find(r => r.username.toLowerCase() === name.toLowerCase()));
+  const missing = names.filter((name, i) => !accounts[i]);
+  if (missing.length) throw new ApiError(404, "not_found", "User not found", { missing });
+
+  const metrics = {};
+  for (const [column, order] of Object.entries(COMPARE_METRICS)) {
+    const values = accounts.map(a => a[column] ?? null);
+    metrics[column] = { order, values, ...compareMetric(order, values) };
+  }
+
+  const daysParam = parseInt(url.searchParams.get("days"));
+  const days = Number.isFinite(daysParam) ? Math.min(Math.max(daysParam, 1), COMPARE_MAX_DAYS) : COMPARE_DEFAULT_DAYS;
+  const since = utcDay(Date.now() - (days - 1) * 86400000);
+  const timelines = accounts.map(a => new Map(parseTimeline(a.graphs_json).filter(p => p.d >= since).map(p => [p.d, p])));
+  const dates = [...new Set(timelines.flatMap(t => [...t.keys()]))].sort();
+
+  const series = {};
+  for (const [name, key] of Object.entries(COMPARE_SERIES)) {
+    series[name] = timelines.map(t => dates.map(d => {
+      const value = t.get(d)?.[key];
+      return typeof value === "number" ? value : null;
+    }));
+  }
+
+  return {
+    data: {
+      users: accounts.map(({ graphs_json, ...account }) => account),
+      metrics,
+      timeline: { days, dates, series }
+    }
+  };
+}
+
+// ═══ Devices ═══
+// Every OsuGrind install keeps its own local play database, so each device's totals are stored separately
+// and merged into the account row: counts add up, averages are weighted by plays, form follows the latest device.
+const MAX_DEVICES = 10;
+// Timeline/today point keys that are averages rather than counts
+const GRAPH_AVERAGE_KEYS = ["acc", "pp", "ur", "kr", "m"];
+
+/**
+ * Registers the pinging device under the account and stores its stats when given.
+ * Returns false when the device is revoked or the account already has MAX_DEVICES active devices,
+ * otherwise { previous }: the device's last reported stats row, or null if it never sent stats.
+ */
+async function saveDevice(env, { osuId, hardwareId, version, stats, graphs, now }) {
+  const device = await env.DB.prepare(
+    "SELECT revoked_at, total_plays, total_time, avg_pp, avg_acc, stats_at FROM devices WHERE osu_id = ? AND hardware_id = ?"
+  ).bind(osuId, hardwareId).first();
+  if (device?.revoked_at) return false;
+  if (!device) {
+    const count = await env.DB.prepare("SELECT COUNT(*) as count FROM devices WHERE osu_id = ? AND revoked_at IS NULL").bind(osuId).first();
+    if ((count?.count || 0) >= MAX_DEVICES) return false;
+  }
+
+  if (stats) {
+    await env.DB.prepare(
+      `INSERT INTO devices (osu_id, hardware_id, version, first_seen, last_seen, total_plays, total_time, avg_acc, avg_pp, avg_ur, form, mentality, perf_match, graphs_json, stats_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(osu_id, hardware_id) DO UPDATE SET
+         version = COALESCE(excluded.version, devices.version), last_seen = excluded.last_seen,
+         total_plays = excluded.total_plays, total_time = excluded.total_time, avg_acc = excluded.avg_acc, avg_pp = excluded.avg_pp,
+         avg_ur = excluded.avg_ur, form = excluded.form, mentality = excluded.mentality, perf_match = excluded.perf_match,
+         graphs_json = excluded.graphs_json, stats_at = excluded.stats_at`
+    ).bind(
+      osuId, hardwareId, version || null, now, now,
+      stats.totalPlays || 0, stats.totalTime || 0, stats.avgAcc || 0, stats.avgPP || 0, stats.avgUR || 0, stats.form || "Unknown",
+      stats.mentality || 0, stats.perfMatch || 0, graphs ? JSON.stringify(graphs) : null, now
+    ).run();
+  } else {
+    await env.DB.prepare(
+      `INSERT INTO devices (osu_id, hardware_id, version, first_seen, last_seen) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(osu_id, hardware_id) DO UPDATE SET version = COALESCE(excluded.version, devices.version), last_seen = excluded.last_seen`
+    ).bind(osuId, hardwareId, version || null, now, now).run();
+  }
+  return { previous: device?.stats_at ? device : null };
+}
+
+// Weighted by plays; a UR of 0 means "no data" and carries no weight
+function weightedAverage(devices, column) {
+  let sum = 0;
+  let weight = 0;
+  for (const d of devices) {
+    if (!(d.total_plays > 0) || typeof d[column] !== "number" || (column === "avg_ur" && d[column] <= 0)) continue;
+    sum += d[column] * d.total_plays;
+    weight += d.total_plays;
+  }
+  return weight ? sum / weight : 0;
+}
+
+function mergeGraphPoints(lists, key) {
+  const merged = new Map();
+  for (const points of lists) {
+    for (const point of points || []) {
+      const entry = merged.get(point[key]) || { [key]: point[key], sums: {}, weights: {} };
+      const weight = point.p > 0 ? point.p : 1;
+      for (const k of ["p", "t"]) {
+        if (typeof point[k] === "number") entry[k] = (entry[k] || 0) + point[k];
+      }
+      for (const k of GRAPH_AVERAGE_KEYS) {
+        if (typeof point[k] !== "number") continue;
+        entry.sums[k] = (entry.sums[k] || 0) + point[k] * weight;
+        entry.weights[k] = (entry.weights[k] || 0) + weight;
+      }
+      merged.set(point[key], entry);
+    }
+  }
+  return [...merged.values()]
+    .sort((a, b) => a[key] < b[key] ? -1 : 1)
+    .map(({ sums, weights, ...point }) => {
+      for (const k of Object.keys(sums)) point[k] = Math.round(sums[k] / weights[k] * 100) / 100;
+      return point;
+    });
+}
+
+function mergeGraphs(graphsList) {
+  if (graphsList.length <= 1) return graphsList[0] || null;
+  const merged = {};
+  if (graphsList.some(g => g.timeline)) merged.timeline = mergeGraphPoints(graphsList.map(g => g.timeline), "d");
+  if (graphsList.some(g => g.today)) merged.today = mergeGraphPoints(graphsList.map(g => g.today), "h");
+  if (graphsList.some(g => g.histogram)) {
+    merged.histogram = {};
+    for (const graphs of graphsList) {
+      for (const [bucket, count] of Object.entries(graphs.histogram || {})) merged.histogram[bucket] = (merged.histogram[bucket] || 0) + count;
+    }
+  }
+  // Goal streaks can't be unioned without per-day goal data, so the longest device streak stands
+  merged.streak = Math.max(...graphsList.map(g => g.streak || 0));
+  return merged;
+}
+
+/**
+ * Account totals from all active devices, in the client's stats shape so the /ping pipeline
+ * (snapshots, seasons, achievements, plausibility) runs on them unchanged. Null when no device has stats.
+ */
+async function mergeDeviceStats(env, osuId) {
+  const { results: devices } = await env.DB.prepare(
+    "SELECT * FROM devices WHERE osu_id = ? AND revoked_at IS NULL AND stats_at IS NOT NULL ORDER BY stats_at DESC"
+  ).bind(osuId).all();
+  if (!devices.length) return null;
+
+  const graphsList = [];
+  for (const d of devices) {
+    try { if (d.graphs_json) graphsList.push(JSON.parse(d.graphs_json)); } catch (e) { }
+  }
+  const graphs = mergeGraphs(graphsList);
+  return {
+    stats: {
+      totalPlays: devices.reduce((sum, d) => sum + d.total_plays, 0),
+      totalTime: devices.reduce((sum, d) => sum + d.total_time, 0),
+      avgAcc: weightedAverage(devices, "avg_acc"),
+      avgPP: weightedAverage(devices, "avg_pp"),
+      avgUR: weightedAverage(devices, "avg_ur"),
+      form: devices[0].form,
+      mentality: weightedAverage(devices, "mentality"),
+      perfMatch: weightedAverage(devices, "perf_match")
+    },
+    graphsJson: graphs ? JSON.stringify(graphs) : null,
+    streak: graphs?.streak || 0
+  };
+}
+
+// Rewrites the account's stats columns after the device set changed outside /ping
+async function applyMergedStats(env, osuId) {
+  const merged = await mergeDeviceStats(env, osuId);
+  if (!merged) {
+    await env.DB.prepare(WIPE_STATS_SQL).bind(osuId).run();
+    return;
+  }
+  const { stats, graphsJson, streak } = merged;
+  await env.DB.prepare(
+    `UPDATE accounts SET total_plays = ?, total_time = ?, avg_acc = ?, avg_pp = ?, avg_ur = ?, form = ?, mentality = ?, graphs_json = ?, streak = ?, perf_match = ?
+     WHERE osu_id = ? AND opt_out = 0`
+  ).bind(stats.totalPlays, stats.totalTime, stats.avgAcc, stats.avgPP, stats.avgUR, stats.form || "Unknown", stats.mentality, graphsJson, streak, stats.perfMatch, osuId).run();
+}
+
+async function handleDevices({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const { results } = await env.DB.prepare(
+    `SELECT hardware_id as id, version, first_seen, last_seen, revoked_at, total_plays, total_time, avg_pp, avg_acc, form, stats_at
+     FROM devices WHERE osu_id = ? ORDER BY revoked_at IS NOT NULL, last_seen DESC`
+  ).bind(user.id).all();
+  return { data: results };
+}
+
+/**
+ * Revoking drops the device's stats from the account totals and ignores its stats pings from then on;
+ * restoring merges its last reported stats back in.
+ */
+async function handleDeviceAction({ request, env, params }) {
+  const { user } = await requireOsuUser(request, env);
+  const hardwareId = params[0];
+  const restore = params[1] === "restore";
+  if (restore) {
+    const active = await env.DB.prepare("SELECT COUNT(*) as count FROM devices WHERE osu_id = ? AND revoked_at IS NULL AND hardware_id != ?")
+      .bind(user.id, hardwareId).first();
+    if ((active?.count || 0) >= MAX_DEVICES) {
+      throw new ApiError(400, "device_limit", `At most ${MAX_DEVICES} devices can be active; revoke one before restoring another`);
+    }
+  }
+  const result = await env.DB.prepare("UPDATE devices SET revoked_at = ? WHERE osu_id = ? AND hardware_id = ?")
+    .bind(restore ? null : Date.now(), user.id, hardwareId).run();
+  if (!result.meta?.changes) throw notFound("Device not found");
+
+  await applyMergedStats(env, user.id);
+  return { data: { status: "ok", id: hardwareId, revoked: !restore } };
+}
+
+// ═══ Webhooks ═══
+// Subscriptions belong to a player (events about themselves) or, with osu_id NULL, to an admin (events about anyone).
+// Events are detected in /ping by comparing the stored row before and after a stats update, queued in
+// webhook_deliveries and sent with retries; payloads are signed with the subscription's secret.
+const WEBHOOK_EVENTS = ["rank.first", "streak.milestone", "form.peak"];
+const WEBHOOK_FORMATS = ["json", "discord"];
+const WEBHOOK_STREAK_MILESTONES = [7, 30, 50, 100, 200, 365, 500, 1000];
+const WEBHOOK_MAX_PER_ACCOUNT = 5;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// A claimed delivery is hidden from other runners this long, so a crashed attempt is retried rather than lost
+const WEBHOOK_LEASE_MS = 60 * 1000;
+const WEBHOOK_BATCH = 50;
+// Consecutive deliveries that exhausted their retries before a subscription is switched off
+const WEBHOOK_DISABLE_AFTER = 5;
+
+const METRIC_LABELS = { avg_pp: "average pp", avg_acc: "average accuracy", avg_ur: "average UR", streak: "goal streak", total_plays: "tracked plays" };
+
+async function getWebhookSubscriptions(env, osuId) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, osu_id, events FROM webhooks WHERE disabled_at IS NULL AND (osu_id IS NULL OR osu_id = ?)"
+  ).bind(osuId).all();
+  return results.map(w => ({ ...w, events: JSON.parse(w.events) }));
+}
+
+// Current #1 for every RANK_METRICS column, read before a stats update so a new leader can be detected after it
+async function getMetricLeaders(env) {
+  const selects = Object.entries(RANK_METRICS).map(([column, dir]) =>
+    `(SELECT json_object('osu_id', osu_id, 'username', username, 'value', ${column}) FROM accounts
+      WHERE ${RANKED_WHERE}${dir === "ASC" ? ` AND ${column} > 0` : ""} ORDER BY ${column} ${dir} LIMIT 1) as ${column}`
+  );
+  const row = await env.DB.prepare(`SELECT ${selects.join(", ")}`).first();
+  return Object.fromEntries(Object.keys(RANK_METRICS).map(column => [column, row?.[column] ? JSON.parse(row[column]) : null]));
+}
+
+function detectWebhookEvents(account, previous, leaders) {
+  const events = [];
+  for (const [column, dir] of Object.entries(RANK_METRICS)) {
+    const value = account[column];
+    const leader = leaders[column];
+    if (dir === "ASC" && !(value > 0)) continue;
+    if (leader?.osu_id === account.osu_id) continue;
+    // Strictly better than the previous holder; a tie doesn't take #1 from them
+    const beats = !leader || (dir === "ASC" ? value < leader.value : value > leader.value);
+    if (!beats) continue;
+    events.push({
+      event: "rank.first",
+      data: { metric: column, value, previous_leader: leader },
+      message: `${account.username} took #1 in ${METRIC_LABELS[column] || column}`
+    });
+  }
+
+  const previousStreak = previous?.streak || 0;
+  const milestone = WEBHOOK_STREAK_MILESTONES.filter(m => previousStreak < m && account.streak >= m).pop();
+  if (milestone) {
+    events.push({
+      event: "streak.milestone",
+      data: { milestone, streak: account.streak },
+      message: `${account.username} reached a ${milestone}-day goal streak`
+    });
+  }
+
+  if (account.form === "Peak" && previous?.form !== "Peak") {
+    events.push({
+      event: "form.peak",
+      data: { form: account.form, previous_form: previous?.form || null },
+      message: `${account.username} is in Peak form`
+    });
+  }
+  return events;
+}
+
+/**
+ * Queues deliveries for events raised by a stats update. Only accounts that are publicly ranked
+ * after the update (not flagged, hidden or opted out) raise events. Returns the number queued.
+ */
+async function queueWebhookEvents(env, { osuId, previous, leaders, subscriptions, now }) {
+  const account = await env.DB.prepare(
+    `SELECT osu_id, username, country, avatar_url, form, ${Object.keys(RANK_METRICS).join(", ")} FROM accounts WHERE osu_id = ? AND ${RANKED_WHERE}`
+  ).bind(osuId).first();
+  if (!account) return 0;
+
+  const statements = [];
+  for (const { event, data, message } of detectWebhookEvents(account, previous, leaders)) {
+    const payload = JSON.stringify({
+      event,
+      created_at: now,
+      account: { osu_id: account.osu_id, username: account.username, country: account.country, avatar_url: account.avatar_url },
+      data,
+      message
+    });
+    for (const webhook of subscriptions.filter(w => w.events.includes(event))) {
+      statements.push(env.DB.prepare(
+        "INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?)"
+      ).bind(webhook.id, event, payload, now, now));
+    }
+  }
+  if (statements.length) await env.DB.batch(statements);
+  return statements.length;
+}
+
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * POSTs one delivery. Receivers verify X-OsuGrind-Signature ("t=<unix seconds>,v1=<hex>") as
+ * HMAC-SHA256(secret, `${t}.${body}`). Discord-format hooks get { content } since Discord ignores the headers.
+ * Returns null on a 2xx response, otherwise the error to record.
+ */
+async function sendWebhook(delivery, now) {
+  const payload = JSON.parse(delivery.payload);
+  const body = delivery.format === "discord" ? JSON.stringify({ content: payload.message }) : delivery.payload;
+  const timestamp = Math.floor(now / 1000);
+  try {
+    const res = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "OsuGrind-Webhooks/1.0",
+        "X-OsuGrind-Event": delivery.event,
+        "X-OsuGrind-Delivery": String(delivery.id),
+        "X-OsuGrind-Signature": `t=${timestamp},v1=${await hmacSha256Hex(delivery.secret, `${timestamp}.${body}`)}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    return res.ok ? null : `HTTP ${res.status}`;
+  } catch (e) {
+    return e.message || String(e);
+  }
+}
+
+// Sends due deliveries; failed attempts back off exponentially until WEBHOOK_MAX_ATTEMPTS
+async function deliverWebhooks(env, now) {
+  const { results } = await env.DB.prepare(
+    `SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret, w.format
+     FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.disabled_at IS NULL
+     ORDER BY d.next_attempt_at LIMIT ?`
+  ).bind(now, WEBHOOK_BATCH).all();
+
+  const report = { delivered: 0, retrying: 0, failed: 0 };
+  for (const delivery of results) {
+    const claim = await env.DB.prepare(
+      "UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?"
+    ).bind(now + WEBHOOK_LEASE_MS, delivery.id, now).run();
+    if (!claim.meta?.changes) continue;
+
+    const error = await sendWebhook(delivery, now);
+    const attempts = delivery.attempts + 1;
+    if (!error) {
+      report.delivered++;
+      await env.DB.batch([
+        env.DB.prepare("UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_error = NULL, delivered_at = ? WHERE id = ?").bind(attempts, Date.now(), delivery.id),
+        env.DB.prepare("UPDATE webhooks SET failures = 0 WHERE id = ?").bind(delivery.webhook_id)
+      ]);
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      report.failed++;
+      await env.DB.batch([
+        env.DB.prepare("UPDATE webhook_deliveries SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?").bind(attempts, error.slice(0, 200), delivery.id),
+        env.DB.prepare(
+          "UPDATE webhooks SET failures = failures + 1, disabled_at = CASE WHEN failures + 1 >= ? THEN ? ELSE disabled_at END WHERE id = ?"
+        ).bind(WEBHOOK_DISABLE_AFTER, now, delivery.webhook_id)
+      ]);
+    } else {
+      report.retrying++;
+      const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 4 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+      await env.DB.prepare("UPDATE webhook_deliveries SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?")
+        .bind(attempts, error.slice(0, 200), now + delay, delivery.id).run();
+    }
+  }
+  return report;
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function isPrivateIPv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 100 && b >= 64 && b < 128) || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b < 32) || (a === 192 && b === 168) || (a === 198 && (b === 18 || b === 19));
+}
+
+// URL() has already normalised the host: IPv4 in dotted decimal, IPv6 bracketed and compressed (::ffff:7f00:1)
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || /\.(localhost|local|internal)$/.test(host)) return true;
+  const v4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) return isPrivateIPv4(v4.slice(1).map(Number));
+  if (!host.includes(":")) return false;
+  if (host === "::" || host === "::1" || /^f[cd]/.test(host) || /^fe[89ab]/.test(host)) return true;
+  // IPv4-mapped and -compatible addresses
+  const embedded = host.match(/^::(?:ffff:)?([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (embedded) {
+    const [high, low] = embedded.slice(1).map(h => parseInt(h, 16));
+    return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255]);
+  }
+  return false;
+}
+
+// Receivers must be public https endpoints, so signed payloads never reach the worker's own network.
+// WEBHOOK_ALLOW_HTTP lifts both rules, for pointing a dev deployment (or the tests) at a local receiver.
+function parseWebhookBody(body, env) {
+  const errors = [];
+  const webhook = validateObject(body, {
+    url: { type: "string", required: true, maxLength: 500 },
+    events: { type: "array", maxItems: WEBHOOK_EVENTS.length, items: { type: "string", values: WEBHOOK_EVENTS } },
+    format: { type: "string", values: WEBHOOK_FORMATS }
+  }, "", errors);
+  if (!errors.length) {
+    let url = null;
+    try { url = new URL(webhook.url); } catch (e) { }
+    const allowHttp = env.WEBHOOK_ALLOW_HTTP === "true";
+    if (!url || !(url.protocol === "https:" || (allowHttp && url.protocol === "http:"))) {
+      errors.push({ field: "url", message: allowHttp ? "must be an http(s) URL" : "must be an https URL" });
+    } else if (!allowHttp && isPrivateHost(url.hostname)) {
+      errors.push({ field: "url", message: "must not point at a private or loopback address" });
+    }
+  }
+  if (errors.length) throw new ApiError(400, "invalid_payload", "Invalid webhook", { fields: errors });
+  return {
+    url: webhook.url,
+    events: webhook.events?.length ? [...new Set(webhook.events)] : WEBHOOK_EVENTS,
+    format: webhook.format || "json"
+  };
+}
+
+async function createWebhook(env, osuId, { url, events, format }) {
+  const secret = randomHex(32);
+  const now = Date.now();
+  const { id } = await env.DB.prepare(
+    "INSERT INTO webhooks (osu_id, url, secret, events, format, created_at) VALUES (?, ?, ?, ?, ?, ?) RETURNING id"
+  ).bind(osuId, url, secret, JSON.stringify(events), format, now).first();
+  // The secret is only ever returned here
+  return { id, osu_id: osuId, url, events, format, secret, created_at: now };
+}
+
+const WEBHOOK_LIST_COLUMNS = "id, osu_id, url, events, format, failures, created_at, disabled_at";
+
+function formatWebhook(row) {
+  return { ...row, events: JSON.parse(row.events) };
+}
+
+async function handleMyWebhooks({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const { results } = await env.DB.prepare(`SELECT ${WEBHOOK_LIST_COLUMNS} FROM webhooks WHERE osu_id = ? ORDER BY id`).bind(user.id).all();
+  return { data: results.map(formatWebhook) };
+}
+
+async function handleCreateMyWebhook({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const webhook = parseWebhookBody(await request.json().catch(() => ({})), env);
+  const count = await env.DB.prepare("SELECT COUNT(*) as count FROM webhooks WHERE osu_id = ?").bind(user.id).first();
+  if ((count?.count || 0) >= WEBHOOK_MAX_PER_ACCOUNT) {
+    throw new ApiError(400, "webhook_limit", `You can register at most ${WEBHOOK_MAX_PER_ACCOUNT} webhooks`);
+  }
+  return { status: 201, data: await createWebhook(env, user.id, webhook) };
+}
+
+async function handleDeleteMyWebhook({ request, env, params }) {
+  const { user } = await requireOsuUser(request, env);
+  const result = await env.DB.prepare("DELETE FROM webhooks WHERE id = ? AND osu_id = ?").bind(parseInt(params[0]), user.id).run();
+  if (!result.meta?.changes) throw notFound("Webhook not found");
+  await env.DB.prepare("DELETE FROM webhook_deliveries WHERE webhook_id = ?").bind(parseInt(params[0])).run();
+  return { data: { status: "ok" } };
+}
+
+async function handleAdminWebhooks({ env }) {
+  const { results } = await env.DB.prepare(`SELECT ${WEBHOOK_LIST_COLUMNS} FROM webhooks ORDER BY id DESC LIMIT 500`).all();
+  return { data: results.map(formatWebhook) };
+}
+
+async function handleAdminCreateWebhook({ request, env }) {
+  const webhook = parseWebhookBody(await request.json().catch(() => ({})), env);
+  const created = await createWebhook(env, null, webhook);
+  await writeAudit(env, request, "create_webhook", created.id, webhook);
+  return { status: 201, data: created };
+}
+
+async function handleAdminDeleteWebhook({ request, env, params }) {
+  const id = parseInt(params[0]);
+  const webhook = await env.DB.prepare("SELECT url FROM webhooks WHERE id = ?").bind(id).first();
+  if (!webhook) throw notFound("Webhook not found");
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM webhooks WHERE id = ?").bind(id),
+    env.DB.prepare("DELETE FROM webhook_deliveries WHERE webhook_id = ?").bind(id)
+  ]);
+  await writeAudit(env, request, "delete_webhook", id, { url: webhook.url });
+  return { data: { status: "ok" } };
+}
+
+async function handleAdminWebhookDeliveries({ env, params }) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, event, payload, status, attempts, next_attempt_at, last_error, created_at, delivered_at FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT 200"
+  ).bind(parseInt(params[0])).all();
+  return { data: results.map(r => ({ ...r, payload: JSON.parse(r.payload) })) };
+}
+
+// ═══ Player data ═══
+
+// Tables keyed by osu_id that make up a player's stored footprint, besides accounts and sessions
+const PLAYER_TABLES = ["account_snapshots", "achievements", "season_stats", "season_standings", "account_flags", "webhooks", "devices"];
+
+/**
+ * Removes everything stored for a player: the account, its sessions and follows, every PLAYER_TABLES row,
+ * the deliveries queued for its webhooks, and the KV keys pointing at them. Shared by /me/delete and the
+ * admin "delete" action so the two can't drift apart. Returns the number of sessions removed.
+ */
+async function deletePlayerData(env, osuId) {
+  const { results: sessions } = await env.DB.prepare("SELECT hardware_id FROM sessions WHERE osu_id = ?").bind(osuId).all();
+
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE osu_id = ?)").bind(osuId),
+    ...PLAYER_TABLES.map(table => env.DB.prepare(`DELETE FROM ${table} WHERE osu_id = ?`).bind(osuId)),
+    env.DB.prepare("DELETE FROM follows WHERE follower_id = ? OR followee_id = ?").bind(osuId, osuId),
+    env.DB.prepare("DELETE FROM sessions WHERE osu_id = ?").bind(osuId),
+    env.DB.prepare("DELETE FROM accounts WHERE osu_id = ?").bind(osuId)
+  ]);
+
+  await env.ONLINE_KV.delete(`last_sync:${osuId}`);
+  for (const session of sessions) {
+    await env.ONLINE_KV.delete(`hw_link:${session.hardware_id}`);
+  }
+  return sessions.length;
+}
+
+async function handleExportMe({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const osuId = user.id;
+
+  const account = await env.DB.prepare("SELECT * FROM accounts WHERE osu_id = ?").bind(osuId).first();
+  const { results: sessions } = await env.DB.prepare("SELECT hardware_id, last_seen FROM sessions WHERE osu_id = ?").bind(osuId).all();
+  const tables = {};
+  for (const table of PLAYER_TABLES) {
+    tables[table] = (await env.DB.prepare(`SELECT * FROM ${table} WHERE osu_id = ?`).bind(osuId).all()).results;
+  }
+  const { results: following } = await env.DB.prepare("SELECT followee_id as osu_id, source, created_at FROM follows WHERE follower_id = ?").bind(osuId).all();
+  const { results: followers } = await env.DB.prepare("SELECT follower_id as osu_id, source, created_at FROM follows WHERE followee_id = ?").bind(osuId).all();
+
+  const kv = { [`last_sync:${osuId}`]: await env.ONLINE_KV.get(`last_sync:${osuId}`) };
+  for (const session of sessions) {
+    kv[`hw_link:${session.hardware_id}`] = await env.ONLINE_KV.get(`hw_link:${session.hardware_id}`);
+  }
+
+  let graphs = null;
+  try { graphs = account?.graphs_json ? JSON.parse(account.graphs_json) : null; } catch (e) { }
+
+  return {
+    data: {
+      exported_at: Date.now(),
+      osu_id: osuId,
+      account: account ? { ...account, graphs_json: undefined, graphs } : null,
+      sessions,
+      ...tables,
+      following,
+      followers,
+      kv
+    },
+    headers: { "Content-Disposition": `attachment; filename="osugrind-export-${osuId}.json"` }
+  };
+}
+
+async function isDeletedPlayer(env, osuId) {
+  return Boolean(await env.DB.prepare("SELECT 1 FROM deleted_players WHERE osu_id = ?").bind(osuId).first());
+}
+
+/**
+ * Irreversible, so the body must carry { "confirm": true }. Leaves a tombstone so the client's next
+ * ping doesn't recreate the account; opting back in through /me/opt-out lifts it.
+ */
+async function handleDeleteMe({ request, env }) {
+  const { user, token } = await requireOsuUser(request, env);
+  const { confirm } = await request.json().catch(() => ({}));
+  if (confirm !== true) throw new ApiError(400, "confirmation_required", "Send { \"confirm\": true } to delete your data");
+
+  const osuId = user.id;
+  const sessionsRemoved = await deletePlayerData(env, osuId);
+  await env.DB.prepare("INSERT INTO deleted_players (osu_id, deleted_at) VALUES (?, ?) ON CONFLICT(osu_id) DO UPDATE SET deleted_at = excluded.deleted_at")
+    .bind(osuId, Date.now()).run();
+  await env.ONLINE_KV.delete(`osu_me:${await sha256Hex(token)}`);
+
+  console.log("[me] Deleted player data", osuId);
+  return { data: { status: "ok", sessions_removed: sessionsRemoved } };
+}
+
+/**
+ * Opting out hides the player everywhere public and wipes the stats already stored;
+ * later pings only refresh identity (username, avatar) until they opt back in.
+ * The choice is stored on the account row, which is created here for players who haven't pinged yet,
+ * and either choice lifts a /me/delete tombstone.
+ */
+async function handleOptOut({ request, env }) {
+  const { user } = await requireOsuUser(request, env);
+  const body = await request.json().catch(() => ({}));
+  if (typeof body.opt_out !== "boolean") {
+    throw new ApiError(400, "invalid_payload", "Invalid payload", { fields: [{ field: "opt_out", message: "must be a boolean" }] });
+  }
+
+  const now = Date.now();
+  const statements = [
+    env.DB.prepare(
+      `INSERT INTO accounts (osu_id, username, country, avatar_url, cover_url, last_seen, first_seen, opt_out) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(osu_id) DO UPDATE SET opt_out = excluded.opt_out`
+    ).bind(user.id, user.username, user.country?.code || "XX", user.avatar_url, user.cover?.url || "", now, now, body.opt_out ? 1 : 0),
+    env.DB.prepare("DELETE FROM deleted_players WHERE osu_id = ?").bind(user.id)
+  ];
+  if (body.opt_out) {
+    statements.push(
+      env.DB.prepare(WIPE_STATS_SQL).bind(user.id),
+      env.DB.prepare("DELETE FROM account_snapshots WHERE osu_id = ?").bind(user.id),
+      env.DB.prepare("DELETE FROM achievements WHERE osu_id = ?").bind(user.id),
+      env.DB.prepare("DELETE FROM season_stats WHERE osu_id = ?").bind(user.id),
+      env.DB.prepare("DELETE FROM devices WHERE osu_id = ?").bind(user.id)
+    );
+  }
+  await env.DB.batch(statements);
+  // Let the next ping write straight through the 6-hour throttle
+  await env.ONLINE_KV.delete(`last_sync:${user.id}`);
+  return { data: { status: "ok", opt_out: body.opt_out } };
+}
+
+// ═══ Admin routes ═══
+
+async function handleAdminFlags({ env, url }) {
+  const status = url.searchParams.get("status") === "resolved" ? "resolved_at IS NOT NULL" : "resolved_at IS NULL";
+  const { results } = await env.DB.prepare(
+    `SELECT f.id, f.osu_id, a.username, a.flagged, f.rule, f.severity, f.detail, f.created_at, f.updated_at, f.resolved_at, f.resolution
+     FROM account_flags f LEFT JOIN accounts a ON a.osu_id = f.osu_id
+     WHERE f.${status} ORDER BY f.updated_at DESC LIMIT 500`
+  ).all();
+  return { data: results.map(r => ({ ...r, detail: r.detail ? JSON.parse(r.detail) : null })) };
+}
+
+async function handleAdminResolveFlag({ request, env, params }) {
+  const flagId = parseInt(params[0]);
+  const { resolution } = await request.json().catch(() => ({}));
+  const flag = await env.DB.prepare("SELECT osu_id, rule FROM account_flags WHERE id = ? AND resolved_at IS NULL").bind(flagId).first();
+  if (!flag) throw notFound("Flag not found");
+
+  const finalResolution = typeof resolution === "string" ? resolution.slice(0, 200) : "dismissed";
+  await env.DB.prepare("UPDATE account_flags SET resolved_at = ?, resolution = ? WHERE id = ?").bind(Date.now(), finalResolution, flagId).run();
+  await syncFlaggedColumn(env, flag.osu_id);
+  await writeAudit(env, request, "resolve_flag", flag.osu_id, { flag_id: flagId, rule: flag.rule, resolution: finalResolution });
+  return { data: { status: "ok" } };
+}
+
+// Accounts with anything worth a moderator's attention: open flags/reviews, or already hidden
+async function handleAdminAccounts({ env }) {
+  const { results } = await env.DB.prepare(
+    `SELECT a.osu_id, a.username, a.country, a.flagged, a.hidden, a.total_plays, a.avg_pp, a.avg_acc, a.streak, a.last_seen,
+       COUNT(f.id) as open_flags, GROUP_CONCAT(f.rule) as rules
+     FROM accounts a LEFT JOIN account_flags f ON f.osu_id = a.osu_id AND f.resolved_at IS NULL
+     GROUP BY a.osu_id
+     HAVING open_flags > 0 OR a.flagged = 1 OR a.hidden = 1
+     ORDER BY a.flagged DESC, open_flags DESC, a.last_seen DESC LIMIT 500`
+  ).all();
+  return { data: results.map(r => ({ ...r, rules: r.rules ? r.rules.split(",") : [] })) };
+}
+
+async function handleAdminAccountAction({ request, env, params }) {
+  const osuId = parseInt(params[0]);
+  const action = params[1];
+  const { reason } = await request.json().catch(() => ({}));
+  const account = await env.DB.prepare("SELECT osu_id, username FROM accounts WHERE osu_id = ?").bind(osuId).first();
+  if (!account) throw notFound("Account not found");
+
+  if (action === "hide" || action === "unhide") {
+    await env.DB.prepare("UPDATE accounts SET hidden = ? WHERE osu_id = ?").bind(action === "hide" ? 1 : 0, osuId).run();
+  } else if (action === "wipe") {
+    await env.DB.batch([
+      env.DB.prepare(WIPE_STATS_SQL).bind(osuId),
+      env.DB.prepare("DELETE FROM account_snapshots WHERE osu_id = ?").bind(osuId),
+      env.DB.prepare("DELETE FROM achievements WHERE osu_id = ?").bind(osuId),
+      env.DB.prepare("DELETE FROM season_stats WHERE osu_id = ?").bind(osuId),
+      env.DB.prepare("DELETE FROM devices WHERE osu_id = ?").bind(osuId)
+    ]);
+    // Let the next ping write straight through the 6-hour throttle
+    await env.ONLINE_KV.delete(`last_sync:${osuId}`);
+  } else {
+    await deletePlayerData(env, osuId);
+  }
+
+  await writeAudit(env, request, `${action}_account`, osuId, { username: account.username, reason: typeof reason === "string" ? reason.slice(0, 200) : null });
+  return { data: { status: "ok" } };
+}
+
+async function handleAdminPurgeSession({ request, env, params }) {
+  const hardwareId = params[0];
+  const session = await env.DB.prepare("SELECT osu_id FROM sessions WHERE hardware_id = ?").bind(hardwareId).first();
+  await env.DB.prepare("DELETE FROM sessions WHERE hardware_id = ?").bind(hardwareId).run();
+  await env.ONLINE_KV.delete(`hw_link:${hardwareId}`);
+  await writeAudit(env, request, "purge_session", hardwareId, { osu_id: session?.osu_id ?? null });
+  return { data: { status: "ok", existed: Boolean(session) } };
+}
+
+async function handleAdminMaintenance({ env }) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, started_at, finished_at, report FROM maintenance_reports ORDER BY id DESC LIMIT 100"
+  ).all();
+  return { data: results.map(r => ({ ...r, report: JSON.parse(r.report) })) };
+}
+
+async function handleAdminAudit({ env }) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, actor, action, target, detail, created_at FROM admin_audit ORDER BY id DESC LIMIT 500"
+  ).all();
+  return { data: results.map(r => ({ ...r, detail: r.detail ? JSON.parse(r.detail) : null })) };
+}
+
+/**
+ * Route table. Paths are matched without the /v1 prefix; capture groups become `params` (URI-decoded).
+ * `rateLimit` names the RATE_LIMITS budget charged per client IP; `admin` routes require ADMIN_SECRET.
+ */
+const ROUTES = [
+  { method: "POST", path: /^\/ping$/, handler: handlePing },
+  { method: "GET", path: /^\/stats$/, handler: handleStats, rateLimit: "stats" },
+  { method: "GET", path: /^\/leaderboard$/, handler: handleLeaderboard, rateLimit: "leaderboard" },
+  { method: "GET", path: /^\/leaderboard\/country\/([A-Za-z]{2})$/, handler: handleLeaderboard, rateLimit: "leaderboard" },
+  { method: "GET", path: /^\/countries$/, handler: handleCountries, rateLimit: "leaderboard" },
+  { method: "GET", path: /^\/profile\/u\/([^/]+)\/ranks$/, handler: handleProfileRanks, rateLimit: "profile" },
+  { method: "GET", path: /^\/profile\/u\/([^/]+)\/history$/, handler: handleProfileHistory, rateLimit: "profile" },
+  { method: "GET", path: /^\/profile\/u\/([^/]+)$/, handler: handleProfile, rateLimit: "profile" },
+  { method: "GET", path: /^\/profile\/u\/([^/]+)\/achievements$/, handler: handleProfileAchievements, rateLimit: "profile" },
+  { method: "GET", path: /^\/achievements$/, handler: handleAchievements, rateLimit: "stats" },
+  { method: "GET", path: /^\/card\/u\/([^/]+)\.svg$/, handler: handleProfileCard, rateLimit: "profile" },
+  { method: "GET", path: /^\/seasons$/, handler: handleSeasons, rateLimit: "leaderboard" },
+  { method: "GET", path: /^\/compare$/, handler: handleCompare, rateLimit: "profile" },
+  { method: "GET", path: /^\/me\/export$/, handler: handleExportMe, rateLimit: "account" },
+  { method: "POST", path: /^\/me\/delete$/, handler: handleDeleteMe, rateLimit: "account" },
+  { method: "POST", path: /^\/me\/opt-out$/, handler: handleOptOut, rateLimit: "account" },
+  { method: "GET", path: /^\/me\/devices$/, handler: handleDevices, rateLimit: "account" },
+  { method: "DELETE", path: /^\/me\/devices\/([^/]+)$/, handler: handleDeviceAction, rateLimit: "account" },
+  { method: "POST", path: /^\/me\/devices\/([^/]+)\/(restore)$/, handler: handleDeviceAction, rateLimit: "account" },
+  { method: "GET", path: /^\/me\/webhooks$/, handler: handleMyWebhooks, rateLimit: "account" },
+  { method: "POST", path: /^\/me\/webhooks$/, handler: handleCreateMyWebhook, rateLimit: "account" },
+  { method: "DELETE", path: /^\/me\/webhooks\/(\d+)$/, handler: handleDeleteMyWebhook, rateLimit: "account" },
+  { method: "GET", path: /^\/me\/following$/, handler: handleFollowing, rateLimit: "account" },
+  { method: "GET", path: /^\/me\/followers$/, handler: handleFollowers, rateLimit: "account" },
+  { method: "GET", path: /^\/me\/following\/leaderboard$/, handler: handleFollowingLeaderboard, rateLimit: "leaderboard" },
+  { method: "POST", path: /^\/me\/following\/import$/, handler: handleImportFriends, rateLimit: "account" },
+  { method: "POST", path: /^\/me\/following\/([^/]+)$/, handler: handleFollow, rateLimit: "account" },
+  { method: "DELETE", path: /^\/me\/following\/([^/]+)$/, handler: handleUnfollow, rateLimit: "account" },
+  { method: "GET", path: /^\/admin\/flags$/, handler: handleAdminFlags, admin: true },
+  { method: "POST", path: /^\/admin\/flags\/(\d+)\/resolve$/, handler: handleAdminResolveFlag, admin: true },
+  { method: "GET", path: /^\/admin\/accounts$/, handler: handleAdminAccounts, admin: true },
+  { method: "POST", path: /^\/admin\/accounts\/(\d+)\/(hide|unhide|wipe|delete)$/, handler: handleAdminAccountAction, admin: true },
+  { method: "POST", path: /^\/admin\/sessions\/([^/]+)\/purge$/, handler: handleAdminPurgeSession, admin: true },
+  { method: "GET", path: /^\/admin\/audit$/, handler: handleAdminAudit, admin: true },
+  { method: "GET", path: /^\/admin\/maintenance$/, handler: handleAdminMaintenance, admin: true },
+  { method: "POST", path: /^\/admin\/seasons$/, handler: handleAdminCreateSeason, admin: true },
+  { method: "GET", path: /^\/admin\/webhooks$/, handler: handleAdminWebhooks, admin: true },
+  { method: "POST", path: /^\/admin\/webhooks$/, handler: handleAdminCreateWebhook, admin: true },
+  { method: "DELETE", path: /^\/admin\/webhooks\/(\d+)$/, handler: handleAdminDeleteWebhook, admin: true },
+  { method: "GET", path: /^\/admin\/webhooks\/(\d+)\/deliveries$/, handler: handleAdminWebhookDeliveries, admin: true }
+];
+
+const API_VERSION_PREFIX = "/v1";
+
+async function enforceRateLimit(env, bucket, identity) {
+  const limited = await checkRateLimit(env, bucket, identity);
+  if (!limited.allowed) {
+    throw new ApiError(429, "rate_limited", "Too many requests", { retry_after: limited.retryAfter }, { "Retry-After": String(limited.retryAfter) });
+  }
+}
+
+// A malformed escape such as "%E0%A4%A" is the client's mistake, not a 500
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw new ApiError(400, "invalid_path", "Malformed percent-encoding in the URL path");
+  }
+}
+
+function matchRoute(method, pathname) {
+  let pathMatched = false;
+  for (const route of ROUTES) {
+    const match = pathname.match(route.path);
+    if (!match) continue;
+    if (route.method !== method) {
+      pathMatched = true;
+      continue;
+    }
+    return { route, params: match.slice(1).map(decodeParam) };
+  }
+  return { route: null, pathMatched };
+}
+
+// ═══ Community stats ═══
+
+const COMMUNITY_STATS_KEY = "community_stats";
+const COMMUNITY_STATS_TTL = 24 * 60 * 60; // seconds; the job refreshes it far more often
+const REGISTRATION_DAYS = 30;
+
+// Bucket layouts for the distribution histograms; values outside [min, max) land in the edge buckets
+const STAT_HISTOGRAMS = {
+  avg_pp: { min: 0, max: 500, step: 25 },
+  avg_acc: { min: 0.8, max: 1, step: 0.01 },
+  avg_ur: { min: 50, max: 200, step: 10, excludeZero: true }
+};
+
+async function computeHistogram(env, column, { min, max, step, excludeZero }) {
+  const count = Math.round((max - min) / step);
+  const { results } = await env.DB.prepare(
+    `SELECT CAST((${column} - ?) / ? + 1e-9 AS INTEGER) as bucket, COUNT(*) as count FROM accounts
+     WHERE ${RANKED_WHERE} ${excludeZero ? `AND ${column} > 0` : ""} GROUP BY bucket`
+  ).bind(min, step).all();
+
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    from: +(min + i * step).toFixed(4),
+    to: +(min + (i + 1) * step).toFixed(4),
+    count: 0
+  }));
+  for (const row of results) {
+    // The epsilon above keeps exact boundaries like 0.82 out of the lower bucket; the clamp folds outliers into the edges
+    const index = Math.min(Math.max(row.bucket, 0), count - 1);
+    buckets[index].count += row.count;
+  }
+  return buckets;
+}
+
+async function computeCommunityStats(env, now) {
+  const day = 86400000;
+  const active = await env.DB.prepare(
+    `SELECT
+       COUNT(DISTINCT CASE WHEN last_seen >= ? THEN COALESCE(osu_id, hardware_id) END) as daily,
+       COUNT(DISTINCT CASE WHEN last_seen >= ? THEN COALESCE(osu_id, hardware_id) END) as weekly,
+       COUNT(DISTINCT CASE WHEN last_seen >= ? THEN COALESCE(osu_id, hardware_id) END) as monthly
+     FROM sessions`
+  ).bind(now - day, now - 7 * day, now - 30 * day).first();
+
+  const totals = await env.DB.prepare(
+    `SELECT COUNT(*) as players, SUM(total_plays) as plays, SUM(total_time) as minutes FROM accounts WHERE ${RANKED_WHERE}`
+  ).first();
+  // Kept with its original definition so existing consumers of total_players see the same number
+  const registered = await env.DB.prepare("SELECT COUNT(*) as count FROM accounts WHERE total_plays > 0").first();
+
+  const { results: registrations } = await env.DB.prepare(
+    `SELECT strftime('%Y-%m-%d', first_seen / 1000, 'unixepoch') as day, COUNT(*) as count FROM accounts
+     WHERE first_seen >= ? GROUP BY day ORDER BY day ASC`
+  ).bind(now - REGISTRATION_DAYS * day).all();
+
+  const { results: forms } = await env.DB.prepare(
+    `SELECT form, COUNT(*) as count FROM accounts WHERE ${RANKED_WHERE} GROUP BY form`
+  ).all();
+
+  const histograms = {};
+  for (const [column, layout] of Object.entries(STAT_HISTOGRAMS)) {
+    histograms[column] = await computeHistogram(env, column, layout);
+  }
+
+  return {
+    generated_at: now,
+    total_players: registered?.count || 0,
+    active_players: { daily: active?.daily || 0, weekly: active?.weekly || 0, monthly: active?.monthly || 0 },
+    ranked_players: totals?.players || 0,
+    total_plays: totals?.plays || 0,
+    total_hours: Math.round((totals?.minutes || 0) / 60),
+    registrations: registrations,
+    forms: Object.fromEntries(FORM_VALUES.map(form => [form, forms.find(f => f.form === form)?.count || 0])),
+    histograms
+  };
+}
+
+async function refreshCommunityStats(env, now) {
+  const stats = await computeCommunityStats(env, now);
+  await env.ONLINE_KV.put(COMMUNITY_STATS_KEY, JSON.stringify(stats), { expirationTtl: COMMUNITY_STATS_TTL });
+  return stats;
+}
+
+// ═══ Maintenance ═══
+// Retention windows in days, overridable per deployment through env vars of the same name
+const RETENTION_DEFAULTS = {
+  SESSION_RETENTION_DAYS: 90,
+  EMPTY_ACCOUNT_RETENTION_DAYS: 30,
+  // Snapshots back /history for up to HISTORY_MAX_DAYS, so they are only pruned when a deployment sets a window
+  SNAPSHOT_RETENTION_DAYS: null,
+  REPORT_RETENTION_DAYS: 90,
+  WEBHOOK_DELIVERY_RETENTION_DAYS: 14
+};
+// Rows/keys handled per run, keeping each invocation well inside the cron CPU budget; backlogs drain over later runs
+const MAINTENANCE_BATCH = 500;
+const KV_SWEEP_CURSOR_KEY = "maintenance_kv_cursor";
+
+function retentionDays(env, name) {
+  const days = parseInt(env[name]);
+  return days > 0 ? days : RETENTION_DEFAULTS[name];
+}
+
+// D1 caps bound parameters per statement, so IN (...) lookups go in chunks
+async function existingIds(env, table, column, ids) {
+  const found = new Set();
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const { results } = await env.DB.prepare(
+      `SELECT ${column} as id FROM ${table} WHERE ${column} IN (${chunk.map(() => "?").join(", ")})`
+    ).bind(...chunk).all();
+    for (const row of results) found.add(String(row.id));
+  }
+  return found;
+}
+
+async function pruneSessions(env, cutoff) {
+  const { results } = await env.DB.prepare(
+    "SELECT hardware_id FROM sessions WHERE COALESCE(last_seen, 0) < ? LIMIT ?"
+  ).bind(cutoff, MAINTENANCE_BATCH).all();
+  if (!results.length) return 0;
+
+  await env.DB.batch(results.map(r => env.DB.prepare("DELETE FROM sessions WHERE hardware_id = ?").bind(r.hardware_id)));
+  for (const { hardware_id } of results) {
+    await env.ONLINE_KV.delete(`hw_link:${hardware_id}`);
+  }
+  return results.length;
+}
+
+// Accounts that logged in but never sent stats. Rows carrying a moderation or privacy decision are kept:
+// hidden and opted-out accounts, and any account with flags or admin audit entries (an admin wipe also zeroes total_plays).
+async function pruneEmptyAccounts(env, cutoff) {
+  const { results } = await env.DB.prepare(
+    `SELECT osu_id FROM accounts a
+     WHERE COALESCE(a.total_plays, 0) = 0 AND a.graphs_json IS NULL AND a.hidden = 0 AND a.opt_out = 0 AND COALESCE(a.last_seen, 0) < ?
+       AND NOT EXISTS (SELECT 1 FROM account_flags f WHERE f.osu_id = a.osu_id)
+       AND NOT EXISTS (SELECT 1 FROM admin_audit l WHERE l.target = CAST(a.osu_id AS TEXT))
+     LIMIT ?`
+  ).bind(cutoff, MAINTENANCE_BATCH).all();
+  if (!results.length) return 0;
+
+  await env.DB.batch(results.flatMap(({ osu_id }) => [
+    ...PLAYER_TABLES.map(table => env.DB.prepare(`DELETE FROM ${table} WHERE osu_id = ?`).bind(osu_id)),
+    env.DB.prepare("DELETE FROM follows WHERE follower_id = ? OR followee_id = ?").bind(osu_id, osu_id),
+    env.DB.prepare("DELETE FROM accounts WHERE osu_id = ?").bind(osu_id)
+  ]));
+  for (const { osu_id } of results) {
+    await env.ONLINE_KV.delete(`last_sync:${osu_id}`);
+  }
+  return results.length;
+}
+
+// KV prefixes mirroring a D1 row; a key is orphaned once its row is gone. Keys with a short TTL (hw_seen) expire on their own.
+const KV_SWEEPS = [
+  { prefix: "hw_link:", table: "sessions", column: "hardware_id" },
+  { prefix: "last_sync:", table: "accounts", column: "osu_id" }
+];
+
+/**
+ * Deletes orphaned KV keys (rows purged before KV cleanup existed, or removed by hand in D1).
+ * KV listing is paged, so each run handles one page and the stored cursor resumes the walk.
+ */
+async function sweepOrphanedKeys(env) {
+  const state = await env.ONLINE_KV.get(KV_SWEEP_CURSOR_KEY, "json") || {};
+  // Keyed by prefix so a cursor is never resumed against a different sweep after KV_SWEEPS changes
+  const index = Math.max(0, KV_SWEEPS.findIndex(s => s.prefix === state.prefix));
+  const sweep = KV_SWEEPS[index];
+  const cursor = state.prefix === sweep.prefix ? state.cursor : null;
+  const page = await env.ONLINE_KV.list({ prefix: sweep.prefix, cursor: cursor || undefined, limit: MAINTENANCE_BATCH });
+
+  const ids = page.keys.map(k => k.name.slice(sweep.prefix.length));
+  const existing = ids.length ? await existingIds(env, sweep.table, sweep.column, ids) : new Set();
+  const orphaned = ids.filter(id => !existing.has(id));
+  for (const id of orphaned) {
+    await env.ONLINE_KV.delete(`${sweep.prefix}${id}`);
+  }
+
+  const next = page.list_complete
+    ? { prefix: KV_SWEEPS[(index + 1) % KV_SWEEPS.length].prefix, cursor: null }
+    : { prefix: sweep.prefix, cursor: page.cursor };
+  await env.ONLINE_KV.put(KV_SWEEP_CURSOR_KEY, JSON.stringify(next));
+  return { prefix: sweep.prefix, scanned: ids.length, deleted: orphaned.length };
+}
+
+// Columns derived from other tables, rebuilt in case a write path missed them (e.g. flags resolved by hand in D1)
+async function recomputeDerivedColumns(env) {
+  const flagged = await env.DB.prepare(
+    `UPDATE accounts SET flagged = EXISTS (SELECT 1 FROM account_flags f WHERE f.osu_id = accounts.osu_id AND f.severity = 'flag' AND f.resolved_at IS NULL)
+     WHERE flagged != EXISTS (SELECT 1 FROM account_flags f WHERE f.osu_id = accounts.osu_id AND f.severity = 'flag' AND f.resolved_at IS NULL)`
+  ).run();
+  // Accounts created before first_seen existed: the earliest snapshot is the best evidence we have
+  const firstSeen = await env.DB.prepare(
+    `UPDATE accounts SET first_seen = (SELECT MIN(recorded_at) FROM account_snapshots s WHERE s.osu_id = accounts.osu_id)
+     WHERE first_seen IS NULL AND EXISTS (SELECT 1 FROM account_snapshots s WHERE s.osu_id = accounts.osu_id)`
+  ).run();
+  return { flagged: flagged.meta?.changes ?? 0, first_seen: firstSeen.meta?.changes ?? 0 };
+}
+
+async function runMaintenance(env, now) {
+  const days = Object.fromEntries(Object.keys(RETENTION_DEFAULTS).map(name => [name, retentionDays(env, name)]));
+  const cutoff = (name) => now - days[name] * 86400000;
+
+  const report = {
+    retention_days: days,
+    sessions_pruned: await pruneSessions(env, cutoff("SESSION_RETENTION_DAYS")),
+    accounts_pruned: await pruneEmptyAccounts(env, cutoff("EMPTY_ACCOUNT_RETENTION_DAYS")),
+    snapshots_pruned: days.SNAPSHOT_RETENTION_DAYS
+      ? (await env.DB.prepare("DELETE FROM account_snapshots WHERE day < ?").bind(utcDay(cutoff("SNAPSHOT_RETENTION_DAYS"))).run()).meta?.changes ?? 0
+      : 0,
+    kv: await sweepOrphanedKeys(env),
+    recomputed: await recomputeDerivedColumns(env)
+  };
+
+  await env.DB.batch([
+    env.DB.prepare("INSERT INTO maintenance_reports (started_at, finished_at, report) VALUES (?, ?, ?)")
+      .bind(now, Date.now(), JSON.stringify(report)),
+    env.DB.prepare("DELETE FROM maintenance_reports WHERE started_at < ?").bind(cutoff("REPORT_RETENTION_DAYS")),
+    env.DB.prepare("DELETE FROM webhook_deliveries WHERE (status != 'pending' AND created_at < ?) OR webhook_id NOT IN (SELECT id FROM webhooks)").bind(cutoff("WEBHOOK_DELIVERY_RETENTION_DAYS"))
+  ]);
+  return report;
+}
+
+// ═══ Scheduled jobs ═══
+// The cron trigger fires often (e.g. every 15 minutes); each job runs at most once per `everyMs`,
+// tracked in KV so overlapping or frequent triggers don't redo work.
+const SCHEDULED_JOBS = [
+  {
+    name: "seasons",
+    everyMs: 15 * 60 * 1000,
+    run: async (env, now) => {
+      await ensureAutoSeasons(env, now);
+      return closeEndedSeasons(env, now);
+    }
+  },
+  {
+    name: "community_stats",
+    everyMs: 15 * 60 * 1000,
+    run: async (env, now) => {
+      const stats = await refreshCommunityStats(env, now);
+      return { ranked_players: stats.ranked_players, daily_active: stats.active_players.daily };
+    }
+  },
+  {
+    name: "webhooks",
+    everyMs: 60 * 1000,
+    run: deliverWebhooks
+  },
+  {
+    name: "maintenance",
+    everyMs: 6 * 60 * 60 * 1000,
+    run: runMaintenance
+  }
+];
+
+async function runScheduledJobs(env, now) {
+  await ensureSchema(env);
+  for (const job of SCHEDULED_JOBS) {
+    const key = `job_last_run:${job.name}`;
+    const lastRun = parseInt(await env.ONLINE_KV.get(key)) || 0;
+    if (now - lastRun < job.everyMs) continue;
+    try {
+      const report = await job.run(env, now);
+      await env.ONLINE_KV.put(key, String(now));
+      console.log(`[cron] ${job.name} done`, JSON.stringify(report ?? {}));
+    } catch (e) {
+      console.error(`[cron] ${job.name} failed`, e.stack || e.message);
+    }
+  }
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    if (request.method === "OPTIONS") {
+      return new Response(null, { headers: CORS_HEADERS });
+    }
+
+    // Unversioned paths are aliases kept for installed clients and the existing website
+    const versioned = url.pathname === API_VERSION_PREFIX || url.pathname.startsWith(`${API_VERSION_PREFIX}/`);
+    const legacy = !versioned;
+    const pathname = versioned ? url.pathname.slice(API_VERSION_PREFIX.length) || "/" : url.pathname;
+
+    try {
+      const { route, params, pathMatched } = matchRoute(request.method, pathname);
+      if (!route) {
+        throw pathMatched ? new ApiError(405, "method_not_allowed", "Method not allowed") : notFound("Not Found");
+      }
+      if (route.admin && !isAdminRequest(request, env)) {
+        throw new ApiError(401, "unauthorized", "Unauthorized");
+      }
+
+      await ensureSchema(env);
+      if (route.rateLimit) await enforceRateLimit(env, route.rateLimit, clientIp(request));
+
+      const result = await route.handler({ request, env, url, params, ctx, legacy });
+      return respond({ ...result, legacy });
+    } catch (e) {
+      if (e instanceof ApiError) {
+        return respond({ status: e.status, error: e, headers: e.headers, legacy });
+      }
+      console.error("[worker] Unhandled error", pathname, e.stack || e.message);
+      return respond({ status: 500, error: { code: "internal_error", message: e.message }, legacy });
     }
+  },
 
-    return new Response("Not Found", { status: 404, headers: corsHeaders });
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledJobs(env, event.scheduledTime || Date.now()));
   }
 };
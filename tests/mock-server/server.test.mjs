@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMockServer } from "../../tools/mock-server/server.mjs";
+
+// Pinned so fixture dates (daysAgo + local time) land on known days
+const NOW = new Date(2026, 9, 19, 23, 30, 0);
+let mock;
+let base;
+
+before(async () => {
+  mock = createMockServer({ now: () => NOW });
+  base = await mock.listen(0);
+});
+after(() => mock.close());
+
+const get = async (path, init) => {
+  const res = await fetch(`${base}${path}`, init);
+  return { status: res.status, type: res.headers.get("Content-Type"), body: res.headers.get("Content-Type")?.includes("json") ? await res.json() : await res.text() };
+};
+
+// Resolves with the socket once the hello has arrived; `messages` collects everything after it
+function connect() {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${base.replace("http", "ws")}/ws/live`);
+    const messages = [];
+    ws.onerror = reject;
+    ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === "hello") resolve({ ws, messages, hello: message });
+      else messages.push(message);
+    };
+  });
+}
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting");
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+test("serves the WebUI and refuses paths outside it", async () => {
+  const index = await get("/");
+  assert.equal(index.status, 200);
+  assert.equal(index.type, "text/html");
+  assert.match(index.body, /js\/api\.js/);
+
+  // The repo root has an index.js, so a 200 here would mean the path escaped WebUI/
+  assert.equal((await get("/..%2Findex.js")).status, 404);
+  assert.deepEqual((await get("/api/nope")).body, { error: "Not found" });
+  // Replay takes session names only, never a path to read
+  const session = encodeURIComponent(new URL("../../tools/mock-server/fixtures/plays.json", import.meta.url).pathname);
+  const replay = await get(`/mock/replay?session=${session}`, { method: "POST" });
+  assert.equal(replay.status, 400);
+  assert.deepEqual(replay.body, { error: "Invalid session name" });
+});
+
+test("history, analytics and goals are derived from the fixture plays", async () => {
+  const month = await get("/api/history/month?year=2026&month=10");
+  const today = month.body.playCounts["2026-10-19"];
+  assert.ok(today > 0);
+
+  const day = await get("/api/history?date=2026-10-19");
+  assert.equal(day.body.plays.length, today);
+  assert.equal(day.body.stats.plays, today);
+
+  const analytics = await get("/api/analytics?days=today");
+  assert.equal(analytics.body.playsToday, today);
+  assert.equal(analytics.body.dailyActivity.length, 24);
+
+  const goals = await get("/api/goals");
+  assert.equal(goals.body.progress.plays, today);
+  assert.equal((await get("/api/history")).status, 400);
+});
+
+test("writes change state and broadcast scoped refreshes", async () => {
+  const { ws, messages } = await connect();
+  try {
+    const res = await get("/api/goals/save", { method: "POST", body: JSON.stringify({ plays: 9 }) });
+    assert.deepEqual(res.body, { success: true });
+    assert.equal((await get("/api/goals")).body.settings.plays, 9);
+    await waitFor(() => messages.length);
+    assert.deepEqual(messages[0], { v: 2, type: "refresh", data: { scopes: ["goals"] } });
+
+    const [play] = (await get("/api/history/recent?limit=1")).body;
+    assert.equal((await get(`/api/play/${play.id}`, { method: "DELETE" })).status, 200);
+    assert.equal((await get(`/api/play/${play.id}`, { method: "DELETE" })).status, 404);
+  } finally {
+    ws.close();
+  }
+});
+
+test("greets live clients, answers heartbeats and replays a session in order", async () => {
+  const { ws, messages, hello } = await connect();
+  try {
+    assert.deepEqual(hello.data, { protocol: 2, app: "mock" });
+
+    ws.send(JSON.stringify({ v: 2, type: "ping", data: { t: 42 } }));
+    await waitFor(() => messages.some(m => m.type === "pong"));
+    assert.deepEqual(messages.find(m => m.type === "pong").data, { t: 42 });
+
+    const res = await get("/mock/replay?session=kanata-fail&speed=1000", { method: "POST" });
+    assert.equal(res.body.name, "kanata-fail");
+    await waitFor(() => messages.some(m => m.type === "refresh"), 5000);
+
+    const types = messages.map(m => m.type);
+    assert.ok(types.indexOf("play_started") < types.indexOf("play_finished"));
+    assert.ok(types.indexOf("play_finished") < types.indexOf("score_saved"));
+    assert.ok(messages.filter(m => m.type === "live").every(m => m.v === 2 && m.data.connectionStatus));
+  } finally {
+    ws.close();
+    mock.stopReplay();
+  }
+});
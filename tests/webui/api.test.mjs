@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+// api.js is a classic browser script; run it with a fetch that answers every endpoint and counts the calls
+let api;
+let calls;
+
+beforeEach(() => {
+  calls = [];
+  const context = {
+    console: { log() { }, warn() { }, error() { } },
+    setTimeout, clearTimeout, setInterval, clearInterval, AbortController, URLSearchParams,
+    fetch: async (url, init = {}) => {
+      calls.push(`${init.method || "GET"} ${url}`);
+      return { ok: true, status: 200, text: async () => JSON.stringify({ url }) };
+    },
+    document: { querySelector: () => null },
+    window: { location: { host: "localhost:7777", search: "" } }
+  };
+  vm.createContext(context);
+  vm.runInContext(readFileSync(new URL("../../WebUI/js/api.js", import.meta.url), "utf8"), context);
+  api = context.window.api;
+});
+
+const reads = () => calls.filter(c => c.startsWith("GET")).length;
+
+test("cached reads are reused within their TTL", async () => {
+  await api.getProfile();
+  await api.getProfile();
+  await api.getAnalytics();
+  await api.getAnalytics();
+  assert.equal(reads(), 2);
+});
+
+test("compute-only POSTs leave the cache alone", async () => {
+  await api.getProfile();
+  await api.getAnalytics();
+  await api.calculateRewindPp({ scoreId: 1, time: 1000 });
+  await api.calculateRewindPp({ scoreId: 1, time: 2000 });
+  await api.getProfile();
+  await api.getAnalytics();
+  assert.equal(reads(), 2);
+});
+
+test("writes drop only the reads they change", async () => {
+  await api.getProfile();
+  await api.getAnalytics();
+
+  await api.updatePlayNotes(1, "choke at the end");
+  await api.getProfile();
+  await api.getAnalytics();
+  assert.equal(reads(), 2);
+
+  await api.logout();
+  await api.getProfile();
+  await api.getAnalytics();
+  assert.equal(reads(), 3);
+
+  await api.deletePlay(1);
+  await api.getProfile();
+  await api.getAnalytics();
+  assert.equal(reads(), 5);
+});
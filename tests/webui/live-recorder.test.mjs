@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+// api.js and live-recorder.js are classic browser scripts; run them in a context with just enough browser
+// (a WebSocket that the test drives by hand, no DOM) to exercise the live bus.
+class FakeWebSocket {
+  static OPEN = 1;
+  static CONNECTING = 0;
+  static instances = [];
+  constructor() {
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+  send(text) { this.sent.push(text); }
+  close() { }
+  // Test helper: deliver a server frame
+  receive(message) { this.onmessage({ data: typeof message === "string" ? message : JSON.stringify(message) }); }
+}
+
+const load = (file) => readFileSync(new URL(`../../WebUI/js/${file}`, import.meta.url), "utf8");
+
+let window;
+let api;
+let recorder;
+let socket;
+
+beforeEach(() => {
+  FakeWebSocket.instances = [];
+  const context = {
+    console: { log() { }, warn() { }, error() { } },
+    setTimeout, clearTimeout, setInterval, clearInterval, URLSearchParams,
+    WebSocket: FakeWebSocket,
+    document: { querySelector: () => null },
+    window: { location: { host: "localhost:7777", search: "" } }
+  };
+  vm.createContext(context);
+  vm.runInContext(load("api.js"), context);
+  vm.runInContext(load("live-recorder.js"), context);
+  window = context.window;
+  api = window.api;
+  recorder = window.liveRecorder;
+
+  api.connectLive();
+  socket = FakeWebSocket.instances[0];
+  socket.readyState = FakeWebSocket.OPEN;
+  socket.onopen();
+});
+
+afterEach(() => {
+  recorder.stopReplay();
+  api.stopHeartbeat();
+});
+
+const live = (combo, playState = "Playing") => ({ v: 2, type: "live", data: { connectionStatus: "connected", gameName: "osu!lazer", playState, combo } });
+
+test("records every socket frame with its offset, keeping non-JSON frames raw", async () => {
+  recorder.start();
+  socket.receive({ v: 2, type: "hello", data: { protocol: 2, app: "1.0.2" } });
+  socket.receive(live(1));
+  await new Promise(r => setTimeout(r, 30));
+  socket.receive("not json");
+  const recording = recorder.stop();
+
+  assert.equal(recording.format, "osugrind-live-recording");
+  assert.equal(recording.protocol, 2);
+  assert.equal(recording.app, "1.0.2");
+  // Arrays built inside the vm context belong to another realm, so compare copies
+  assert.deepEqual([...recording.frames].map(f => f.message?.type ?? f.raw), ["hello", "live", "not json"]);
+  assert.ok(recording.frames[2].t >= recording.frames[1].t + 25);
+
+  // Nothing more is captured once stopped
+  socket.receive(live(2));
+  assert.equal(recording.frames.length, 3);
+});
+
+test("replays a recording into the bus in order at the requested speed", async () => {
+  const seen = [];
+  api.onLiveData((data) => seen.push(data.combo));
+  const finished = [];
+  api.on(window.LiveEvents.PLAY_FINISHED, (data) => finished.push(data.passed));
+
+  const recording = {
+    format: "osugrind-live-recording", version: 1, protocol: 2,
+    frames: [
+      { t: 0, message: live(1) },
+      { t: 400, message: live(2) },
+      { t: 800, message: live(3, "Results") },
+      { t: 800, message: { v: 2, type: "play_finished", data: { passed: true } } }
+    ]
+  };
+
+  const started = Date.now();
+  await recorder.replay(recording, { speed: 8 });
+  const elapsed = Date.now() - started;
+
+  assert.deepEqual(seen, [1, 2, 3]);
+  assert.deepEqual(finished, [true]);
+  // 800ms of recording at 8x
+  assert.ok(elapsed >= 90 && elapsed < 600, `took ${elapsed}ms`);
+  assert.equal(recorder.isReplaying, false);
+});
+
+test("socket frames are dropped while a replay runs and flow again after it stops", async () => {
+  const seen = [];
+  api.onLiveData((data) => seen.push(data.combo));
+
+  const replay = recorder.replay({ format: "osugrind-live-recording", version: 1, frames: [{ t: 0, message: live(100) }, { t: 60000, message: live(101) }] });
+  socket.receive(live(7));
+  assert.equal(api.replaying, true);
+
+  recorder.stopReplay();
+  await replay;
+  socket.receive(live(8));
+  assert.deepEqual(seen, [100, 8]);
+});
+
+test("recorded hellos don't overwrite the real connection's handshake", async () => {
+  socket.receive({ v: 2, type: "hello", data: { protocol: 2, app: "1.0.2" } });
+  const seen = [];
+  api.onLiveData((data) => seen.push(data.combo));
+
+  await recorder.replay({
+    format: "osugrind-live-recording", version: 1, protocol: 1, app: "0.9.0",
+    frames: [{ t: 0, message: { v: 1, type: "hello", data: { protocol: 1, app: "0.9.0" } } }, { t: 10, message: live(5) }]
+  }, { speed: 100 });
+
+  assert.equal(api.protocolVersion, 2);
+  assert.equal(api.backendVersion, "1.0.2");
+  assert.deepEqual(seen, [5]);
+});
+
+test("rejects files that aren't live recordings", async () => {
+  await assert.rejects(recorder.replay({ frames: [] }), /Not an OsuGrind live recording/);
+  await assert.rejects(recorder.replay({ format: "osugrind-live-recording", version: 99, frames: [] }), /newer than this UI/);
+});
+
+test("the mock server's recorded session replays through the same path", async () => {
+  const recording = JSON.parse(readFileSync(new URL("../../tools/mock-server/sessions/kanata-fail.json", import.meta.url), "utf8"));
+  const states = [];
+  api.on(window.LiveEvents.STATE_CHANGE, (data) => states.push(data.playState));
+
+  await recorder.replay(recording, { speed: 1000 });
+  assert.deepEqual(states, ["Song Select", "Playing", "Results", "Song Select"]);
+});
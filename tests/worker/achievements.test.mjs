@@ -0,0 +1,79 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(6001, "Alice");
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.96, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const send = (stats) => ping(env, { userId: "hw-1", token: "token-alice", stats: { ...STATS, ...stats } });
+const owned = () => env.DB.sqlite.prepare("SELECT achievement_id FROM achievements WHERE osu_id = ? ORDER BY achievement_id")
+  .all(alice.id).map(r => r.achievement_id);
+
+test("a ping unlocks the achievements its stats meet and reports them", async () => {
+  const res = await send();
+
+  assert.deepEqual(res.body.unlocked, ["plays_100"]);
+  assert.deepEqual(owned(), ["plays_100"]);
+
+  const profile = await call(env, "/v1/profile/u/alice/achievements");
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.data.unlocked, 1);
+  const plays = profile.body.data.achievements.find(a => a.id === "plays_100");
+  assert.equal(typeof plays.unlocked_at, "number");
+  assert.equal(profile.body.data.achievements.find(a => a.id === "plays_1000").unlocked_at, null);
+});
+
+test("achievements are awarded once and kept when stats drop", async () => {
+  await send();
+  const { unlocked_at } = env.DB.sqlite.prepare("SELECT unlocked_at FROM achievements WHERE achievement_id = 'plays_100'").get();
+
+  const again = await send({ totalPlays: 130, totalTime: 700 });
+  assert.deepEqual(again.body.unlocked, ["hours_10"]);
+
+  const quiet = await send({ totalPlays: 140, totalTime: 720 });
+  assert.deepEqual(quiet.body, { status: "ok" });
+
+  await send({ totalPlays: 10, totalTime: 20 });
+  assert.deepEqual(owned(), ["hours_10", "plays_100"]);
+  assert.equal(env.DB.sqlite.prepare("SELECT unlocked_at FROM achievements WHERE achievement_id = 'plays_100'").get().unlocked_at, unlocked_at);
+});
+
+test("minimum play counts gate the average-based achievements", async () => {
+  const res = await send({ totalPlays: 499, avgAcc: 0.99, avgUR: 70 });
+  assert.ok(!res.body.unlocked.includes("acc_98"));
+  assert.ok(!res.body.unlocked.includes("ur_80"));
+
+  const enough = await send({ totalPlays: 500, avgAcc: 0.99, avgUR: 70 });
+  assert.deepEqual([...enough.body.unlocked].sort(), ["acc_98", "ur_80"]);
+});
+
+test("unlock rates count players on the public boards", async () => {
+  await send();
+  const res = await call(env, "/v1/achievements");
+
+  assert.equal(res.body.data.players, 1);
+  const plays = res.body.data.achievements.find(a => a.id === "plays_100");
+  assert.deepEqual({ unlocks: plays.unlocks, rate: plays.rate }, { unlocks: 1, rate: 1 });
+});
+
+test("an admin wipe and an opt-out both take achievements away", async () => {
+  await send();
+  await call(env, "/v1/admin/accounts/6001/wipe", { headers: { "X-Admin-Secret": "test-admin-secret" }, json: {} });
+  assert.deepEqual(owned(), []);
+
+  await send();
+  assert.deepEqual(owned(), ["plays_100"]);
+  await call(env, "/v1/me/opt-out", { headers: { Authorization: "Bearer token-alice" }, json: { opt_out: true } });
+  assert.deepEqual(owned(), []);
+  assert.equal((await call(env, "/v1/profile/u/alice/achievements")).status, 404);
+});
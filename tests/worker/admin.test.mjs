@@ -0,0 +1,77 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+const ADMIN = { "X-Admin-Secret": "test-admin-secret", "X-Admin-Actor": "mod-1" };
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [{ osu_id: 1, username: "Alice" }, { osu_id: 2, username: "Bob" }]);
+});
+
+const count = (sql, ...params) => env.DB.sqlite.prepare(`SELECT COUNT(*) as n FROM ${sql}`).get(...params).n;
+
+// Gives Alice a row in every table that holds player data, plus the KV keys that point at her
+async function seedFootprint(osuId) {
+  const now = Date.now();
+  const db = env.DB.sqlite;
+  db.prepare("INSERT INTO sessions (hardware_id, osu_id, last_seen) VALUES (?, ?, ?)").run(`hw-${osuId}`, osuId, now);
+  db.prepare("INSERT INTO account_snapshots (osu_id, day, total_plays, recorded_at) VALUES (?, '2026-01-01', 100, ?)").run(osuId, now);
+  db.prepare("INSERT INTO achievements (osu_id, achievement_id, unlocked_at) VALUES (?, 'plays_100', ?)").run(osuId, now);
+  db.prepare("INSERT INTO account_flags (osu_id, rule, severity, created_at, updated_at) VALUES (?, 'avg_pp_swing', 'review', ?, ?)").run(osuId, now, now);
+  db.prepare("INSERT INTO devices (osu_id, hardware_id, first_seen, last_seen) VALUES (?, ?, ?, ?)").run(osuId, `hw-${osuId}`, now, now);
+  db.prepare("INSERT INTO season_stats (season_id, osu_id, plays, updated_at) VALUES ('weekly-2026-01', ?, 10, ?)").run(osuId, now);
+  db.prepare("INSERT INTO season_standings (season_id, metric, rank, osu_id) VALUES ('weekly-2026-01', 'plays', ?, ?)").run(osuId, osuId);
+  db.prepare("INSERT INTO follows (follower_id, followee_id, created_at) VALUES (?, 2, ?), (2, ?, ?)").run(osuId, now, osuId, now);
+  const { lastInsertRowid } = db.prepare("INSERT INTO webhooks (osu_id, url, secret, events, created_at) VALUES (?, 'https://hook.test', 's', 'form.peak', ?)").run(osuId, now);
+  db.prepare("INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at) VALUES (?, 'form.peak', '{}', ?, ?)").run(lastInsertRowid, now, now);
+  await env.ONLINE_KV.put(`hw_link:hw-${osuId}`, String(osuId));
+  await env.ONLINE_KV.put(`last_sync:${osuId}`, String(now));
+}
+
+test("admin routes require the admin secret", async () => {
+  const res = await call(env, "/v1/admin/accounts/1/hide", { json: {} });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, "unauthorized");
+});
+
+test("CORS preflight allows the admin headers", async () => {
+  const res = await call(env, "/v1/admin/accounts", { method: "OPTIONS" });
+  const allowed = res.headers.get("Access-Control-Allow-Headers").split(/,\s*/);
+  assert.ok(allowed.includes("X-Admin-Secret"));
+  assert.ok(allowed.includes("X-Admin-Actor"));
+});
+
+test("deleting an account removes everything stored for the player and audits it", async () => {
+  await seedFootprint(1);
+  const res = await call(env, "/v1/admin/accounts/1/delete", { headers: ADMIN, json: { reason: "spam" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(count("accounts WHERE osu_id = 1"), 0);
+  for (const table of ["sessions", "account_snapshots", "achievements", "account_flags", "devices", "season_stats", "season_standings", "webhooks"]) {
+    assert.equal(count(`${table} WHERE osu_id = 1`), 0, table);
+  }
+  assert.equal(count("follows WHERE follower_id = 1 OR followee_id = 1"), 0);
+  assert.equal(count("webhook_deliveries"), 0);
+  assert.equal(await env.ONLINE_KV.get("hw_link:hw-1"), null);
+  assert.equal(await env.ONLINE_KV.get("last_sync:1"), null);
+
+  // Bob is untouched
+  assert.equal(count("accounts WHERE osu_id = 2"), 1);
+
+  const audit = env.DB.sqlite.prepare("SELECT actor, action, target, detail FROM admin_audit").all();
+  assert.deepEqual(audit.map(a => ({ ...a })), [{ actor: "mod-1", action: "delete_account", target: "1", detail: JSON.stringify({ username: "Alice", reason: "spam" }) }]);
+});
+
+test("wiping an account clears its stats but keeps the row and its flags", async () => {
+  await seedFootprint(1);
+  const res = await call(env, "/v1/admin/accounts/1/wipe", { headers: ADMIN, json: {} });
+
+  assert.equal(res.status, 200);
+  const row = env.DB.sqlite.prepare("SELECT total_plays, avg_pp FROM accounts WHERE osu_id = 1").get();
+  assert.deepEqual({ ...row }, { total_plays: 0, avg_pp: 0 });
+  assert.equal(count("account_snapshots WHERE osu_id = 1"), 0);
+  assert.equal(count("account_flags WHERE osu_id = 1"), 1);
+});
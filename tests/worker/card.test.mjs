@@ -0,0 +1,70 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+const HOSTILE = `<script>alert("x")</script>&'`;
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", form: "Great" },
+    { osu_id: 2, username: HOSTILE, country: "<b>" },
+    { osu_id: 3, username: "Hidden", hidden: 1 }
+  ]);
+});
+
+const card = (name, headers = {}) => call(env, `/v1/card/u/${encodeURIComponent(name)}.svg`, { headers });
+
+test("renders an SVG card with cache headers", async () => {
+  const res = await card("alice");
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("Content-Type"), /^image\/svg\+xml/);
+  assert.match(res.headers.get("Cache-Control"), /max-age=\d+/);
+  assert.match(res.body, /^<svg[\s\S]*>Alice<[\s\S]*<\/svg>\s*$/);
+});
+
+test("escapes player-controlled text in the markup", async () => {
+  const res = await card(HOSTILE);
+
+  assert.equal(res.status, 200);
+  assert.ok(!res.body.includes("<script>"));
+  assert.ok(!res.body.includes("<b>"));
+  assert.ok(res.body.includes("&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&amp;&apos;"));
+  assert.ok(res.body.includes("&lt;b&gt;"));
+});
+
+test("the ETag is stable until the card changes", async () => {
+  const first = await card("Alice");
+  const second = await card("Alice");
+  const etag = first.headers.get("ETag");
+  assert.match(etag, /^"[0-9a-f]{32}"$/);
+  assert.equal(second.headers.get("ETag"), etag);
+
+  // Options that render differently get their own tag
+  const light = await call(env, "/v1/card/u/Alice.svg?theme=light");
+  assert.notEqual(light.headers.get("ETag"), etag);
+
+  env.DB.sqlite.prepare("UPDATE accounts SET total_plays = 101 WHERE osu_id = 1").run();
+  assert.notEqual((await card("Alice")).headers.get("ETag"), etag);
+});
+
+test("a matching If-None-Match gets an empty 304", async () => {
+  const etag = (await card("Alice")).headers.get("ETag");
+
+  const res = await card("Alice", { "If-None-Match": etag });
+  assert.equal(res.status, 304);
+  assert.equal(res.body, "");
+  assert.equal(res.headers.get("ETag"), etag);
+
+  const stale = await card("Alice", { "If-None-Match": "\"0123\"" });
+  assert.equal(stale.status, 200);
+});
+
+test("hidden and unknown players have no card", async () => {
+  for (const name of ["Hidden", "Nobody"]) {
+    assert.equal((await card(name)).status, 404, name);
+  }
+});
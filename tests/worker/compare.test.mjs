@@ -0,0 +1,71 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+const day = (daysAgo) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+const timeline = (...points) => JSON.stringify({ timeline: points });
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", total_plays: 500, avg_pp: 120, avg_ur: 80, streak: 3,
+      graphs_json: timeline({ d: day(90), pp: 90 }, { d: day(2), pp: 110, p: 10 }, { d: day(0), pp: 120, p: 5 }) },
+    { osu_id: 2, username: "Bob", total_plays: 300, avg_pp: 200, avg_ur: 0, streak: 3,
+      graphs_json: timeline({ d: day(1), pp: 195, p: 7 }) },
+    { osu_id: 3, username: "Hidden", hidden: 1 },
+    { osu_id: 4, username: "Private", opt_out: 1 }
+  ]);
+});
+
+const compare = (query) => call(env, `/v1/compare?${query}`);
+
+test("compares two players metric by metric in the order asked", async () => {
+  const res = await compare("users=bob,ALICE");
+
+  assert.equal(res.status, 200);
+  const { users, metrics } = res.body.data;
+  assert.deepEqual(users.map(u => u.username), ["Bob", "Alice"]);
+  assert.ok(!("graphs_json" in users[0]));
+
+  assert.deepEqual(metrics.total_plays, { order: "desc", values: [300, 500], best: 500, winner: 1, deltas: [-200, 0] });
+  assert.deepEqual(metrics.avg_pp, { order: "desc", values: [200, 120], best: 200, winner: 0, deltas: [0, -80] });
+  // Lower UR wins and 0 means no data
+  assert.deepEqual(metrics.avg_ur, { order: "asc", values: [0, 80], best: 80, winner: 1, deltas: [null, 0] });
+  // Ties have no winner
+  assert.equal(metrics.streak.winner, null);
+});
+
+test("aligns timelines on the union of dates inside the window", async () => {
+  const res = await compare("users=Alice,Bob&days=7");
+  const { days, dates, series } = res.body.data.timeline;
+
+  assert.equal(days, 7);
+  assert.deepEqual(dates, [day(2), day(1), day(0)]);
+  assert.deepEqual(series.pp, [[110, null, 120], [null, 195, null]]);
+  assert.deepEqual(series.plays, [[10, null, 5], [null, 7, null]]);
+});
+
+test("clamps the window to COMPARE_MAX_DAYS", async () => {
+  const res = await compare("users=Alice,Bob&days=100000");
+  assert.equal(res.body.data.timeline.days, 365);
+  assert.deepEqual(res.body.data.timeline.dates, [day(90), day(2), day(1), day(0)]);
+});
+
+test("unknown, hidden and opted-out players are reported as missing", async () => {
+  for (const name of ["Nobody", "Hidden", "Private"]) {
+    const res = await compare(`users=Alice,${name}`);
+    assert.equal(res.status, 404, name);
+    assert.equal(res.body.error.code, "not_found", name);
+    assert.deepEqual(res.body.error.missing, [name], name);
+  }
+});
+
+test("needs two to five distinct players", async () => {
+  for (const query of ["users=Alice", "users=Alice,alice", "users=a,b,c,d,e,f", ""]) {
+    const res = await compare(query);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error.code, "invalid_query", query);
+  }
+});
@@ -0,0 +1,73 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", country: "US", total_plays: 500, avg_pp: 120, avg_acc: 0.95, avg_ur: 80 },
+    { osu_id: 2, username: "Bob", country: "DE", total_plays: 300, avg_pp: 200, avg_acc: 0.91, avg_ur: 0 },
+    { osu_id: 3, username: "Carol", country: "US", total_plays: 900, avg_pp: 80, avg_acc: 0.97, avg_ur: 100 },
+    { osu_id: 4, username: "Yuki", country: "JP", total_plays: 50, avg_pp: 300, avg_acc: 0.99, avg_ur: 70 },
+    // Unranked players count nowhere
+    { osu_id: 5, username: "Empty", country: "JP", total_plays: 0 },
+    { osu_id: 6, username: "Cheater", country: "JP", total_plays: 9999, flagged: 1 },
+    { osu_id: 7, username: "Hidden", country: "DE", total_plays: 9999, hidden: 1 },
+    { osu_id: 8, username: "Private", country: "US", total_plays: 9999, opt_out: 1 }
+  ]);
+});
+
+const names = (res) => res.body.data.results.map(r => r.username);
+
+test("the country board ranks only that country's players, case-insensitively", async () => {
+  const res = await call(env, "/v1/leaderboard/country/us?sort=avg_pp");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(names(res), ["Alice", "Carol"]);
+  assert.equal(res.body.data.total, 2);
+  assert.deepEqual(names(await call(env, "/v1/leaderboard/country/JP")), ["Yuki"]);
+  assert.deepEqual(names(await call(env, "/v1/leaderboard/country/FR")), []);
+});
+
+test("the country in the path combines with the other filters", async () => {
+  assert.deepEqual(names(await call(env, "/v1/leaderboard/country/US?min_plays=600")), ["Carol"]);
+  // The path wins over a country query param
+  assert.deepEqual(names(await call(env, "/v1/leaderboard/country/DE?country=US")), ["Bob"]);
+});
+
+test("legacy country boards keep the bare array body", async () => {
+  const res = await call(env, "/leaderboard/country/US");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(r => r.username), ["Carol", "Alice"]);
+  assert.equal(res.headers.get("X-Total-Count"), "2");
+});
+
+test("invalid country codes are rejected", async () => {
+  for (const path of ["/v1/leaderboard/country/USA", "/v1/leaderboard/country/1A", "/v1/leaderboard/country/"]) {
+    const res = await call(env, path);
+    assert.equal(res.status, 404, path);
+    assert.equal(res.body.error.code, "not_found", path);
+  }
+  for (const query of ["country=USA", "country=U1", "season=current&country=USA"]) {
+    const res = await call(env, `/v1/leaderboard?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error.code, "invalid_query", query);
+  }
+});
+
+test("the country list counts ranked players and averages their stats", async () => {
+  const res = await call(env, "/v1/countries");
+
+  assert.equal(res.status, 200);
+  const rows = res.body.data.map(r => ({ ...r, avg_acc: Math.round(r.avg_acc * 100) / 100 }));
+  assert.deepEqual(rows, [
+    { country: "US", players: 2, avg_pp: 100, avg_acc: 0.96, avg_ur: 90, total_plays: 1400 },
+    // Ties on player count go to the higher average pp; a UR of 0 means no data
+    { country: "JP", players: 1, avg_pp: 300, avg_acc: 0.99, avg_ur: 70, total_plays: 50 },
+    { country: "DE", players: 1, avg_pp: 200, avg_acc: 0.91, avg_ur: null, total_plays: 300 }
+  ]);
+});
@@ -0,0 +1,80 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(7001, "Alice");
+const AUTH = { Authorization: "Bearer token-alice" };
+let osu;
+
+const STATS = { totalPlays: 100, totalTime: 200, avgAcc: 0.96, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const send = (userId, stats) => ping(env, { userId, token: "token-alice", stats: { ...STATS, ...stats } });
+const account = () => env.DB.sqlite.prepare("SELECT total_plays, total_time FROM accounts WHERE osu_id = ?").get(alice.id);
+const weeklyPlays = () => env.DB.sqlite.prepare("SELECT ss.plays FROM season_stats ss JOIN seasons s ON s.id = ss.season_id WHERE s.kind = 'weekly' AND ss.osu_id = ?").get(alice.id)?.plays ?? 0;
+const openRules = () => env.DB.sqlite.prepare("SELECT rule FROM account_flags WHERE osu_id = ? AND resolved_at IS NULL").all(alice.id).map(r => r.rule);
+
+test("account totals add up every device's own totals", async () => {
+  await send("hw-desktop", { totalPlays: 100, totalTime: 200 });
+  await send("hw-laptop", { totalPlays: 40, totalTime: 50 });
+
+  assert.deepEqual({ ...account() }, { total_plays: 140, total_time: 250 });
+});
+
+test("a second device's first report adds no season progress and raises no review", async () => {
+  await send("hw-desktop", { totalPlays: 100 });
+  await send("hw-desktop", { totalPlays: 110 });
+  assert.equal(weeklyPlays(), 10);
+
+  await send("hw-laptop", { totalPlays: 3000, totalTime: 9000 });
+  assert.equal(account().total_plays, 3110);
+  assert.equal(weeklyPlays(), 10);
+  assert.deepEqual(openRules(), []);
+
+  // From then on each device counts what it gained since its own last report
+  await send("hw-laptop", { totalPlays: 3005, totalTime: 9010 });
+  await send("hw-desktop", { totalPlays: 112 });
+  assert.equal(weeklyPlays(), 17);
+});
+
+test("a burst on one device is still reviewed", async () => {
+  await send("hw-desktop", { totalPlays: 100 });
+  await send("hw-laptop", { totalPlays: 100 });
+  await send("hw-laptop", { totalPlays: 1100 });
+
+  assert.deepEqual(openRules(), ["play_delta_too_large"]);
+});
+
+test("restoring a device merges it back without counting it as progress", async () => {
+  await send("hw-desktop", { totalPlays: 100 });
+  await send("hw-laptop", { totalPlays: 3000 });
+  await call(env, "/v1/me/devices/hw-laptop", { method: "DELETE", headers: AUTH });
+  assert.equal(account().total_plays, 100);
+
+  const res = await call(env, "/v1/me/devices/hw-laptop/restore", { method: "POST", headers: AUTH });
+  assert.equal(res.status, 200);
+  assert.equal(account().total_plays, 3100);
+
+  await send("hw-desktop", { totalPlays: 101 });
+  assert.equal(weeklyPlays(), 1);
+  assert.deepEqual(openRules(), []);
+});
+
+test("restoring a device can't exceed the active device limit", async () => {
+  await send("hw-old", { totalPlays: 10 });
+  await call(env, "/v1/me/devices/hw-old", { method: "DELETE", headers: AUTH });
+  for (let i = 0; i < 10; i++) await send(`hw-${i}`, { totalPlays: 10 });
+
+  const res = await call(env, "/v1/me/devices/hw-old/restore", { method: "POST", headers: AUTH });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "device_limit");
+  assert.ok(env.DB.sqlite.prepare("SELECT revoked_at FROM devices WHERE hardware_id = 'hw-old'").get().revoked_at);
+  assert.equal(account().total_plays, 100);
+});
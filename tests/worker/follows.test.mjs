@@ -0,0 +1,116 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, stubOsuApi, osuUser, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(1, "Alice");
+const AUTH = { Authorization: "Bearer token-alice" };
+const BOB_AUTH = { Authorization: "Bearer token-bob" };
+let osu;
+
+before(async () => {
+  osu = stubOsuApi(
+    { "token-alice": alice, "token-bob": osuUser(2, "Bob"), "token-crowd": osuUser(9, "Crowd") },
+    {
+      "token-alice": [{ target_id: 2 }, { target_id: 3 }, { target_id: 1 }, { target_id: 77 }, { id: 4 }, { target_id: "x" }],
+      "token-crowd": Array.from({ length: 600 }, (_, i) => ({ target_id: 1000 + i }))
+    }
+  );
+  await migrate(env);
+});
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", avg_pp: 100 },
+    { osu_id: 2, username: "Bob", avg_pp: 200 },
+    { osu_id: 3, username: "Carol", avg_pp: 300 },
+    { osu_id: 4, username: "Hidden", hidden: 1 }
+  ]);
+});
+after(() => osu.restore());
+
+const follows = (followerId) => env.DB.sqlite.prepare("SELECT followee_id, source FROM follows WHERE follower_id = ? ORDER BY followee_id")
+  .all(followerId).map(r => ({ ...r }));
+
+test("following needs a valid osu! token", async () => {
+  const missing = await call(env, "/v1/me/following/Bob", { method: "POST" });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error.code, "unauthorized");
+
+  const invalid = await call(env, "/v1/me/following", { headers: { Authorization: "Bearer nope" } });
+  assert.equal(invalid.status, 401);
+  assert.equal(follows(1).length, 0);
+});
+
+test("follows and unfollows players by name, once each", async () => {
+  const res = await call(env, "/v1/me/following/bob", { method: "POST", headers: AUTH });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, { status: "ok", following: { osu_id: 2, username: "Bob" } });
+  await call(env, "/v1/me/following/Bob", { method: "POST", headers: AUTH });
+  await call(env, "/v1/me/following/Carol", { method: "POST", headers: AUTH });
+  assert.deepEqual(follows(1), [{ followee_id: 2, source: "manual" }, { followee_id: 3, source: "manual" }]);
+
+  const unfollow = await call(env, "/v1/me/following/Bob", { method: "DELETE", headers: AUTH });
+  assert.equal(unfollow.status, 200);
+  assert.deepEqual(follows(1), [{ followee_id: 3, source: "manual" }]);
+});
+
+test("can't follow yourself, unknown or hidden players", async () => {
+  const self = await call(env, "/v1/me/following/Alice", { method: "POST", headers: AUTH });
+  assert.equal(self.status, 400);
+  assert.equal(self.body.error.code, "invalid_target");
+
+  for (const name of ["Nobody", "Hidden"]) {
+    assert.equal((await call(env, `/v1/me/following/${name}`, { method: "POST", headers: AUTH })).status, 404, name);
+  }
+});
+
+test("lists who you follow and who follows you, without hidden players", async () => {
+  await call(env, "/v1/me/following/Carol", { method: "POST", headers: AUTH });
+  await call(env, "/v1/me/following/Bob", { method: "POST", headers: AUTH });
+  await call(env, "/v1/me/following/Alice", { method: "POST", headers: BOB_AUTH });
+  env.DB.sqlite.prepare("INSERT INTO follows (follower_id, followee_id, source, created_at) VALUES (4, 1, 'manual', 0), (1, 4, 'manual', 0)").run();
+
+  const following = await call(env, "/v1/me/following", { headers: AUTH });
+  assert.deepEqual(following.body.data.map(f => f.username), ["Bob", "Carol"]);
+  assert.equal(following.body.data[0].source, "manual");
+
+  const followers = await call(env, "/v1/me/followers", { headers: AUTH });
+  assert.deepEqual(followers.body.data.map(f => f.username), ["Bob"]);
+});
+
+test("the following leaderboard ranks followed players and the caller", async () => {
+  await call(env, "/v1/me/following/Carol", { method: "POST", headers: AUTH });
+
+  const res = await call(env, "/v1/me/following/leaderboard?sort=avg_pp", { headers: AUTH });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data.results.map(r => r.username), ["Carol", "Alice"]);
+});
+
+test("imports the osu! friends list, skipping yourself and malformed entries", async () => {
+  await call(env, "/v1/me/following/Bob", { method: "POST", headers: AUTH });
+  const res = await call(env, "/v1/me/following/import", { method: "POST", headers: AUTH });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, { status: "ok", imported: 4 });
+  // Manual follows keep their source; friends without an account yet are stored for later
+  assert.deepEqual(follows(1), [
+    { followee_id: 2, source: "manual" },
+    { followee_id: 3, source: "osu_friends" },
+    { followee_id: 4, source: "osu_friends" },
+    { followee_id: 77, source: "osu_friends" }
+  ]);
+});
+
+test("import needs the friends.read scope and caps the list at MAX_FOLLOWS", async () => {
+  const scope = await call(env, "/v1/me/following/import", { method: "POST", headers: BOB_AUTH });
+  assert.equal(scope.status, 403);
+  assert.equal(scope.body.error.code, "missing_scope");
+
+  const unauthenticated = await call(env, "/v1/me/following/import", { method: "POST" });
+  assert.equal(unauthenticated.status, 401);
+
+  const crowd = await call(env, "/v1/me/following/import", { method: "POST", headers: { Authorization: "Bearer token-crowd" } });
+  assert.deepEqual(crowd.body.data, { status: "ok", imported: 500 });
+  assert.equal(follows(9).length, 500);
+});
@@ -0,0 +1,246 @@
+// Local stand-ins for the worker's bindings, so the exported fetch/scheduled handlers run under plain Node.
+// Run with `node --test "tests/worker/*.test.mjs"` (Node 22.5+ for node:sqlite).
+
+import { DatabaseSync } from "node:sqlite";
+import { createServer } from "node:http";
+import worker from "../../index.js";
+
+export { worker };
+
+// The original tables the deployed D1 database was created with; everything else index.js migrates itself
+const BASE_SCHEMA = `
+  CREATE TABLE accounts (
+    osu_id INTEGER PRIMARY KEY,
+    username TEXT,
+    country TEXT,
+    avatar_url TEXT,
+    cover_url TEXT,
+    last_seen INTEGER,
+    osu_ranked_score INTEGER DEFAULT 0,
+    osu_play_count INTEGER DEFAULT 0,
+    osu_level REAL DEFAULT 0,
+    total_plays INTEGER DEFAULT 0,
+    total_time INTEGER DEFAULT 0,
+    avg_acc REAL DEFAULT 0,
+    avg_pp REAL DEFAULT 0,
+    avg_ur REAL DEFAULT 0,
+    form TEXT,
+    mentality REAL DEFAULT 0,
+    graphs_json TEXT,
+    streak INTEGER DEFAULT 0,
+    perf_match REAL DEFAULT 0
+  );
+  CREATE TABLE sessions (
+    hardware_id TEXT PRIMARY KEY,
+    osu_id INTEGER,
+    last_seen INTEGER
+  );
+`;
+
+// D1 binds JS values loosely; node:sqlite rejects undefined and booleans
+function toSqlite(values) {
+  return values.map(v => v === undefined ? null : typeof v === "boolean" ? Number(v) : v);
+}
+
+/**
+ * In-memory D1: prepare().bind().first()/all()/run() and batch(), backed by node:sqlite.
+ * `sqlite` is the raw database, for seeding rows and asserting on them directly.
+ */
+export function createD1() {
+  const sqlite = new DatabaseSync(":memory:");
+  sqlite.exec(BASE_SCHEMA);
+
+  const statement = (sql, params = []) => ({
+    bind: (...values) => statement(sql, values),
+    first: async (column) => {
+      const row = sqlite.prepare(sql).get(...toSqlite(params));
+      if (!row) return null;
+      return column ? row[column] : { ...row };
+    },
+    all: async () => ({ results: sqlite.prepare(sql).all(...toSqlite(params)).map(row => ({ ...row })) }),
+    run: async () => {
+      const result = sqlite.prepare(sql).run(...toSqlite(params));
+      return { success: true, meta: { changes: Number(result.changes), last_row_id: Number(result.lastInsertRowid) } };
+    }
+  });
+
+  return {
+    sqlite,
+    prepare: (sql) => statement(sql),
+    // D1 runs a batch as one transaction
+    batch: async (statements) => {
+      sqlite.exec("BEGIN");
+      try {
+        const results = [];
+        for (const s of statements) results.push(await s.run());
+        sqlite.exec("COMMIT");
+        return results;
+      } catch (e) {
+        sqlite.exec("ROLLBACK");
+        throw e;
+      }
+    },
+    exec: async (sql) => sqlite.exec(sql)
+  };
+}
+
+// Map-backed KV with the get/put/delete/list surface the worker uses; expirationTtl is recorded, not enforced
+export function createKV() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async (key, type) => {
+      if (!entries.has(key)) return null;
+      const { value } = entries.get(key);
+      return type === "json" || type?.type === "json" ? JSON.parse(value) : value;
+    },
+    put: async (key, value, options = {}) => {
+      entries.set(key, { value: String(value), expirationTtl: options.expirationTtl });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async ({ prefix = "", cursor, limit = 1000 } = {}) => {
+      const names = [...entries.keys()].filter(k => k.startsWith(prefix)).sort();
+      const start = cursor ? parseInt(cursor) : 0;
+      const page = names.slice(start, start + limit);
+      const complete = start + limit >= names.length;
+      return { keys: page.map(name => ({ name })), list_complete: complete, cursor: complete ? undefined : String(start + limit) };
+    }
+  };
+}
+
+export const OSU_API_BASE = "https://osu.test/api/v2";
+
+/**
+ * Builds an osu! user as /me returns it. Defaults describe a long-standing, active account
+ * so plausibility rules stay quiet unless a test overrides them.
+ */
+export function osuUser(id, username, overrides = {}) {
+  return {
+    id,
+    username,
+    country: { code: "US" },
+    avatar_url: `https://a.ppy.sh/${id}`,
+    cover: { url: "" },
+    join_date: "2015-01-01T00:00:00Z",
+    statistics: { pp: 5000, ranked_score: 1000000, play_count: 100000, level: { current: 100 } },
+    ...overrides
+  };
+}
+
+/**
+ * Replaces global fetch with an osu! API responder: GET /me answers for tokens in `users`
+ * (token -> osu user) and 401s otherwise. GET /friends answers with `friends[token]`, or 403 (no
+ * friends.read scope) for tokens without an entry. Other URLs go to the real fetch. Returns the
+ * recorded calls, a restore function and `outage`: set it to { status, retryAfter? } to answer
+ * every call with that error, or to "network" to make fetch throw, and back to null to recover.
+ */
+export function stubOsuApi(users = {}, friends = {}) {
+  const realFetch = globalThis.fetch;
+  const stub = { calls: [], outage: null, restore: () => { globalThis.fetch = realFetch; } };
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    if (!url.startsWith(OSU_API_BASE)) return realFetch(input, init);
+
+    const token = (new Headers(init.headers).get("Authorization") || "").replace(/^Bearer /, "");
+    stub.calls.push({ url, token });
+    if (stub.outage === "network") throw new TypeError("fetch failed");
+    if (stub.outage) {
+      const headers = stub.outage.retryAfter ? { "Retry-After": String(stub.outage.retryAfter) } : {};
+      return new Response("Unavailable", { status: stub.outage.status, headers });
+    }
+    const user = users[token];
+    if (!user) return new Response(JSON.stringify({ authentication: "basic" }), { status: 401 });
+    if (url === `${OSU_API_BASE}/me` || url.startsWith(`${OSU_API_BASE}/me/`)) return Response.json(user);
+    if (url === `${OSU_API_BASE}/friends`) {
+      return friends[token] ? Response.json(friends[token]) : new Response(JSON.stringify({ error: "insufficient_scope" }), { status: 403 });
+    }
+    return new Response("Not Found", { status: 404 });
+  };
+  return stub;
+}
+
+/**
+ * Local HTTP stand-in for a webhook receiver. Records every request as { method, url, headers, body } and
+ * answers with `receiver.status` (200 unless a test changes it). Call `close()` when done.
+ */
+export async function startReceiver() {
+  const receiver = { requests: [], status: 200, url: null };
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}`;
+  receiver.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return receiver;
+}
+
+/**
+ * Worker env with fresh bindings. `reset()` empties every table and KV key but keeps the schema,
+ * since index.js migrates once per module instance, i.e. once per test file.
+ */
+export function createEnv(vars = {}) {
+  const env = { DB: createD1(), ONLINE_KV: createKV(), OSU_API_BASE, ADMIN_SECRET: "test-admin-secret", ...vars };
+  env.reset = () => {
+    const tables = env.DB.sqlite.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+    for (const { name } of tables) env.DB.sqlite.exec(`DELETE FROM "${name}"`);
+    env.ONLINE_KV.entries.clear();
+  };
+  return env;
+}
+
+// index.js creates its own tables and columns on the first routed request; seed rows after this
+export async function migrate(env) {
+  await call(env, "/v1/countries");
+  env.reset();
+}
+
+// Collects waitUntil promises so a test can await background work
+export function createContext() {
+  const pending = [];
+  return { pending, waitUntil: (promise) => pending.push(promise), settle: () => Promise.all(pending) };
+}
+
+/**
+ * Sends a request through worker.fetch and returns { status, headers, body } with the body parsed as JSON
+ * when it is JSON. `json` sets a JSON body (and POST unless `method` says otherwise).
+ */
+export async function call(env, path, { method, headers = {}, json, ctx = createContext() } = {}) {
+  const init = { method: method || (json !== undefined ? "POST" : "GET"), headers: { ...headers } };
+  if (json !== undefined) {
+    init.body = JSON.stringify(json);
+    init.headers["Content-Type"] = "application/json";
+  }
+  const res = await worker.fetch(new Request(`https://worker.test${path}`, init), env, ctx);
+  const text = await res.text();
+  let body = text;
+  if ((res.headers.get("Content-Type") || "").includes("application/json")) body = text ? JSON.parse(text) : null;
+  return { status: res.status, headers: res.headers, body };
+}
+
+export function ping(env, payload, options = {}) {
+  return call(env, "/ping", { json: payload, ...options });
+}
+
+// Inserts accounts directly; each row needs osu_id and username, the rest defaults to a ranked player
+export function seedAccounts(env, rows) {
+  const now = Date.now();
+  for (const row of rows) {
+    const account = {
+      country: "US", last_seen: now, total_plays: 100, total_time: 600, avg_acc: 0.95, avg_pp: 100, avg_ur: 90,
+      form: "Stable", streak: 0, perf_match: 90, ...row
+    };
+    const columns = Object.keys(account);
+    env.DB.sqlite.prepare(`INSERT INTO accounts (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`)
+      .run(...toSqlite(Object.values(account)));
+  }
+}
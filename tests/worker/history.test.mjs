@@ -0,0 +1,87 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call, createContext, worker } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(7001, "Alice");
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.96, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const day = (daysAgo) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+const send = (stats) => ping(env, { userId: "hw-1", token: "token-alice", stats: { ...STATS, ...stats } });
+const history = (query = "") => call(env, `/v1/profile/u/alice/history${query}`);
+
+function seedSnapshot(daysAgo, totalPlays) {
+  env.DB.sqlite.prepare("INSERT INTO account_snapshots (osu_id, day, total_plays, avg_pp, recorded_at) VALUES (?, ?, ?, 100, ?)")
+    .run(alice.id, day(daysAgo), totalPlays, Date.now() - daysAgo * 86400000);
+}
+
+test("pings keep one snapshot per day, holding the day's latest stats", async () => {
+  await send();
+  await send({ totalPlays: 130, avgPP: 151 });
+
+  const rows = env.DB.sqlite.prepare("SELECT day, total_plays, avg_pp, form FROM account_snapshots WHERE osu_id = ?").all(alice.id);
+  assert.deepEqual(rows.map(r => ({ ...r })), [{ day: day(0), total_plays: 130, avg_pp: 151, form: "Great" }]);
+});
+
+test("identity-only pings don't write snapshots", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM account_snapshots").get().n, 0);
+});
+
+test("serves the snapshot series oldest first within the window", async () => {
+  await send();
+  seedSnapshot(3, 100);
+  seedSnapshot(10, 90);
+
+  const res = await history("?days=7");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.days, 7);
+  assert.deepEqual(res.body.data.dates, [day(3), day(0)]);
+  assert.deepEqual(res.body.data.series.total_plays, [100, 120]);
+  assert.deepEqual(res.body.data.series.avg_pp, [100, 150]);
+});
+
+test("clamps days between 1 and HISTORY_MAX_DAYS, defaulting to a year", async () => {
+  await send();
+  seedSnapshot(400, 50);
+  seedSnapshot(3640, 10);
+  seedSnapshot(3660, 5);
+
+  assert.equal((await history()).body.data.days, 365);
+  assert.deepEqual((await history()).body.data.dates, [day(0)]);
+
+  const longest = await history("?days=100000");
+  assert.equal(longest.body.data.days, 3650);
+  assert.deepEqual(longest.body.data.series.total_plays, [10, 50, 120]);
+
+  assert.equal((await history("?days=0")).body.data.days, 1);
+  assert.equal((await history("?days=abc")).body.data.days, 365);
+});
+
+test("nightly maintenance keeps the long-term history by default", async () => {
+  await send();
+  seedSnapshot(3000, 10);
+
+  const ctx = createContext();
+  await worker.scheduled({ scheduledTime: Date.now() }, env, ctx);
+  await ctx.settle();
+
+  assert.deepEqual((await history("?days=3650")).body.data.series.total_plays, [10, 120]);
+});
+
+test("hidden and opted-out players have no public history", async () => {
+  await send();
+  for (const column of ["hidden", "opt_out"]) {
+    env.DB.sqlite.prepare(`UPDATE accounts SET hidden = 0, opt_out = 0, ${column} = 1 WHERE osu_id = ?`).run(alice.id);
+    assert.equal((await history()).status, 404, column);
+  }
+});
@@ -0,0 +1,108 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", country: "US", total_plays: 500, avg_pp: 120, avg_acc: 0.95 },
+    { osu_id: 2, username: "Bob", country: "DE", total_plays: 300, avg_pp: 200, avg_acc: 0.91 },
+    { osu_id: 3, username: "Carol", country: "US", total_plays: 900, avg_pp: 80, avg_acc: 0.98 },
+    { osu_id: 4, username: "Dave", country: "DE", total_plays: 300, avg_pp: 150, avg_acc: 0.93 },
+    // Never sent stats, flagged, hidden and opted out: none of these are ranked
+    { osu_id: 5, username: "Empty", total_plays: 0 },
+    { osu_id: 6, username: "Cheater", total_plays: 99999, flagged: 1 },
+    { osu_id: 7, username: "Hidden", total_plays: 99999, hidden: 1 },
+    { osu_id: 8, username: "Private", total_plays: 99999, opt_out: 1 }
+  ]);
+});
+
+const names = (res) => res.body.data.results.map(r => r.username);
+
+test("defaults to total_plays descending over ranked players only", async () => {
+  const res = await call(env, "/v1/leaderboard");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(names(res), ["Carol", "Alice", "Bob", "Dave"]);
+  assert.equal(res.body.data.total, 4);
+  assert.equal(res.headers.get("X-Cache"), "MISS");
+});
+
+test("legacy /leaderboard keeps the bare array body and pages through headers", async () => {
+  const res = await call(env, "/leaderboard?sort=avg_pp");
+
+  assert.equal(res.status, 200);
+  assert.ok(Array.isArray(res.body));
+  assert.deepEqual(res.body.map(r => r.username), ["Bob", "Dave", "Alice", "Carol"]);
+  assert.equal(res.headers.get("X-Total-Count"), "4");
+  assert.equal(res.headers.get("X-Next-Cursor"), null);
+
+  const first = await call(env, "/leaderboard?limit=2");
+  assert.deepEqual(first.body.map(r => r.username), ["Carol", "Alice"]);
+  assert.equal(first.headers.get("X-Next-Offset"), "2");
+  const second = await call(env, `/leaderboard?limit=2&cursor=${first.headers.get("X-Next-Cursor")}`);
+  assert.deepEqual(second.body.map(r => r.username), ["Bob", "Dave"]);
+
+  // Served from the response cache, the shape stays the same
+  const cached = await call(env, "/leaderboard?sort=avg_pp");
+  assert.equal(cached.headers.get("X-Cache"), "HIT");
+  assert.ok(Array.isArray(cached.body));
+});
+
+test("sorts by whitelisted columns with per-key direction", async () => {
+  const res = await call(env, "/v1/leaderboard?sort=total_plays:asc,avg_pp:desc");
+
+  assert.deepEqual(names(res), ["Bob", "Dave", "Alice", "Carol"]);
+});
+
+test("ignores sort keys outside the whitelist", async () => {
+  for (const sort of ["username", "graphs_json", "avg_pp;DROP TABLE accounts", "(SELECT 1)", "osu_id) --"]) {
+    const res = await call(env, `/v1/leaderboard?sort=${encodeURIComponent(sort)}`);
+    assert.equal(res.status, 200, sort);
+    assert.deepEqual(names(res), ["Carol", "Alice", "Bob", "Dave"], sort);
+  }
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM accounts").get().n, 8);
+});
+
+test("search matches usernames as a bound parameter", async () => {
+  assert.deepEqual(names(await call(env, "/v1/leaderboard?search=a")), ["Carol", "Alice", "Dave"]);
+  assert.deepEqual(names(await call(env, `/v1/leaderboard?search=${encodeURIComponent("' OR 1=1 --")}`)), []);
+  // Unranked accounts stay out of search results too
+  assert.deepEqual(names(await call(env, "/v1/leaderboard?search=Cheat")), []);
+});
+
+test("filters by country and validates filter values", async () => {
+  assert.deepEqual(names(await call(env, "/v1/leaderboard?country=de")), ["Bob", "Dave"]);
+  assert.deepEqual(names(await call(env, "/v1/leaderboard/country/US")), ["Carol", "Alice"]);
+  assert.deepEqual(names(await call(env, "/v1/leaderboard?min_plays=400")), ["Carol", "Alice"]);
+
+  const res = await call(env, "/v1/leaderboard?country=USA");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "invalid_query");
+});
+
+test("cursor pages through ties without repeats", async () => {
+  const first = await call(env, "/v1/leaderboard?limit=2");
+  assert.deepEqual(names(first), ["Carol", "Alice"]);
+  assert.ok(first.body.data.next_cursor);
+
+  const second = await call(env, `/v1/leaderboard?limit=2&cursor=${first.body.data.next_cursor}`);
+  assert.deepEqual(names(second), ["Bob", "Dave"]);
+  assert.equal(second.body.data.next_cursor, null);
+
+  // A cursor is bound to the sort it was issued for
+  const mismatched = await call(env, `/v1/leaderboard?limit=2&sort=avg_pp&cursor=${first.body.data.next_cursor}`);
+  assert.equal(mismatched.status, 400);
+});
+
+test("repeat requests are served from the response cache", async () => {
+  await call(env, "/v1/leaderboard?sort=avg_acc");
+  env.DB.sqlite.prepare("UPDATE accounts SET avg_acc = 0.5 WHERE osu_id = 3").run();
+
+  const cached = await call(env, "/v1/leaderboard?sort=avg_acc");
+  assert.equal(cached.headers.get("X-Cache"), "HIT");
+  assert.equal(names(cached)[0], "Carol");
+});
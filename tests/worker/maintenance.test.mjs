@@ -0,0 +1,75 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, createContext, worker } from "./harness.mjs";
+
+const env = createEnv();
+const LONG_AGO = Date.now() - 60 * 86400000;
+
+before(() => migrate(env));
+beforeEach(() => env.reset());
+
+async function runMaintenance() {
+  const ctx = createContext();
+  await worker.scheduled({ scheduledTime: Date.now() }, env, ctx);
+  await ctx.settle();
+  const { report } = env.DB.sqlite.prepare("SELECT report FROM maintenance_reports ORDER BY id DESC LIMIT 1").get();
+  return JSON.parse(report);
+}
+
+const remaining = () => env.DB.sqlite.prepare("SELECT username FROM accounts ORDER BY osu_id").all().map(r => r.username);
+
+test("prunes long-idle accounts that never sent stats but keeps moderated and private ones", async () => {
+  seedAccounts(env, [
+    { osu_id: 1, username: "Empty", total_plays: 0, last_seen: LONG_AGO },
+    { osu_id: 2, username: "NullPlays", total_plays: null, last_seen: LONG_AGO },
+    { osu_id: 3, username: "WipedFlagged", total_plays: 0, last_seen: LONG_AGO },
+    { osu_id: 4, username: "WipedAudited", total_plays: 0, last_seen: LONG_AGO },
+    { osu_id: 5, username: "Private", total_plays: 0, opt_out: 1, last_seen: LONG_AGO },
+    { osu_id: 6, username: "Hidden", total_plays: 0, hidden: 1, last_seen: LONG_AGO },
+    { osu_id: 7, username: "Recent", total_plays: 0 },
+    { osu_id: 8, username: "Player", last_seen: LONG_AGO }
+  ]);
+  const now = Date.now();
+  env.DB.sqlite.prepare("INSERT INTO account_flags (osu_id, rule, severity, created_at, updated_at, resolved_at) VALUES (3, 'perf_match_out_of_range', 'flag', ?, ?, ?)").run(now, now, now);
+  env.DB.sqlite.prepare("INSERT INTO admin_audit (actor, action, target, created_at) VALUES ('mod', 'wipe_account', '4', ?)").run(now);
+
+  const report = await runMaintenance();
+
+  assert.equal(report.accounts_pruned, 2);
+  assert.deepEqual(remaining(), ["WipedFlagged", "WipedAudited", "Private", "Hidden", "Recent", "Player"]);
+  // Moderation history survives with the account
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM account_flags WHERE osu_id = 3").get().n, 1);
+});
+
+test("keeps snapshots as far back as /history serves unless a retention window is configured", async () => {
+  seedAccounts(env, [{ osu_id: 1, username: "Veteran" }]);
+  const insert = env.DB.sqlite.prepare("INSERT INTO account_snapshots (osu_id, day, total_plays, recorded_at) VALUES (1, ?, 100, ?)");
+  insert.run("2018-03-01", Date.parse("2018-03-01"));
+  insert.run(new Date().toISOString().slice(0, 10), Date.now());
+  const snapshots = () => env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM account_snapshots").get().n;
+
+  const report = await runMaintenance();
+  assert.equal(report.snapshots_pruned, 0);
+  assert.equal(report.retention_days.SNAPSHOT_RETENTION_DAYS, null);
+  assert.equal(snapshots(), 2);
+
+  env.SNAPSHOT_RETENTION_DAYS = "365";
+  try {
+    await env.ONLINE_KV.delete("job_last_run:maintenance");
+    assert.equal((await runMaintenance()).snapshots_pruned, 1);
+    assert.equal(snapshots(), 1);
+  } finally {
+    delete env.SNAPSHOT_RETENTION_DAYS;
+  }
+});
+
+test("sweeps KV keys whose row is gone and leaves TTL-bound keys to expire", async () => {
+  seedAccounts(env, [{ osu_id: 1, username: "Linked" }]);
+  env.DB.sqlite.prepare("INSERT INTO sessions (hardware_id, osu_id, last_seen) VALUES ('hw-live', 1, ?)").run(Date.now());
+  for (const key of ["hw_link:hw-live", "hw_link:hw-gone", "hw_seen:hw-gone"]) await env.ONLINE_KV.put(key, "1");
+
+  const report = await runMaintenance();
+
+  assert.deepEqual(report.kv, { prefix: "hw_link:", scanned: 2, deleted: 1 });
+  assert.deepEqual([...env.ONLINE_KV.entries.keys()].filter(k => k.startsWith("hw_")).sort(), ["hw_link:hw-live", "hw_seen:hw-gone"]);
+});
@@ -0,0 +1,79 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(5001, "Alice");
+const AUTH = { Authorization: "Bearer token-alice" };
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.97, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const account = () => env.DB.sqlite.prepare("SELECT * FROM accounts WHERE osu_id = ?").get(alice.id);
+const session = (hardwareId) => env.DB.sqlite.prepare("SELECT osu_id FROM sessions WHERE hardware_id = ?").get(hardwareId);
+const sendStats = () => ping(env, { userId: "hw-1", token: "token-alice", stats: STATS });
+
+test("deleting needs an explicit confirmation", async () => {
+  await sendStats();
+  const res = await call(env, "/v1/me/delete", { headers: AUTH, json: {} });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "confirmation_required");
+  assert.ok(account());
+});
+
+test("a deleted player's later pings don't recreate the account", async () => {
+  await sendStats();
+  const res = await call(env, "/v1/me/delete", { headers: AUTH, json: { confirm: true } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, { status: "ok", sessions_removed: 1 });
+  assert.equal(account(), undefined);
+
+  const again = await sendStats();
+  assert.equal(again.status, 200);
+  assert.equal(account(), undefined);
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM devices").get().n, 0);
+  // The install still counts as online, just not as this player
+  assert.equal(session("hw-1").osu_id, null);
+});
+
+test("opting back in lifts the deletion", async () => {
+  await sendStats();
+  await call(env, "/v1/me/delete", { headers: AUTH, json: { confirm: true } });
+
+  const res = await call(env, "/v1/me/opt-out", { headers: AUTH, json: { opt_out: false } });
+  assert.equal(res.status, 200);
+  await sendStats();
+  assert.equal(account().total_plays, 120);
+  assert.equal(session("hw-1").osu_id, alice.id);
+});
+
+test("opting out works before the player has ever pinged and sticks", async () => {
+  const res = await call(env, "/v1/me/opt-out", { headers: AUTH, json: { opt_out: true } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, { status: "ok", opt_out: true });
+  assert.equal(account().opt_out, 1);
+  assert.equal(account().username, "Alice");
+
+  await sendStats();
+  assert.equal(account().opt_out, 1);
+  assert.equal(account().total_plays, 0);
+  assert.equal((await call(env, "/v1/profile/u/Alice")).status, 404);
+});
+
+test("opting out wipes stats already stored", async () => {
+  await sendStats();
+  await call(env, "/v1/me/opt-out", { headers: AUTH, json: { opt_out: true } });
+
+  assert.equal(account().total_plays, 0);
+  for (const table of ["account_snapshots", "achievements", "season_stats", "devices"]) {
+    assert.equal(env.DB.sqlite.prepare(`SELECT COUNT(*) as n FROM ${table}`).get().n, 0, table);
+  }
+});
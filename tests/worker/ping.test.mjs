@@ -0,0 +1,158 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(1001, "Alice");
+const bob = osuUser(1002, "Bob");
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.97, avgPP: 150.5, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+const GRAPHS = { timeline: [{ d: "2026-01-01", p: 120, t: 300, acc: 97, pp: 150.5, ur: 85 }], histogram: { "0": 10 }, streak: 4 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice, "token-bob": bob });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const account = (osuId) => env.DB.sqlite.prepare("SELECT * FROM accounts WHERE osu_id = ?").get(osuId);
+const session = (hardwareId) => env.DB.sqlite.prepare("SELECT * FROM sessions WHERE hardware_id = ?").get(hardwareId);
+
+test("anonymous ping records an unlinked session", async () => {
+  const res = await ping(env, { userId: "hw-anon" });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { status: "ok" });
+  assert.equal(session("hw-anon").osu_id, null);
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM accounts").get().n, 0);
+});
+
+test("ping without stats upserts identity only", async () => {
+  const res = await ping(env, { userId: "hw-1", token: "token-alice" });
+
+  assert.equal(res.status, 200);
+  const row = account(alice.id);
+  assert.equal(row.username, "Alice");
+  assert.equal(row.country, "US");
+  assert.equal(row.osu_play_count, alice.statistics.play_count);
+  assert.equal(row.total_plays, 0);
+  assert.equal(row.graphs_json, null);
+  assert.ok(row.first_seen > 0);
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM account_snapshots").get().n, 0);
+});
+
+test("ping with stats writes totals, graphs and a daily snapshot", async () => {
+  const res = await ping(env, { userId: "hw-1", token: "token-alice", version: "1.0.2", stats: STATS, graphs: GRAPHS });
+
+  assert.equal(res.status, 200);
+  const row = account(alice.id);
+  assert.equal(row.total_plays, 120);
+  assert.equal(row.total_time, 300);
+  assert.equal(row.avg_pp, 150.5);
+  assert.equal(row.avg_acc, 0.97);
+  assert.equal(row.form, "Great");
+  assert.equal(row.streak, 4);
+  assert.deepEqual(JSON.parse(row.graphs_json), GRAPHS);
+  assert.equal(row.flagged, 0);
+
+  const snapshot = env.DB.sqlite.prepare("SELECT * FROM account_snapshots WHERE osu_id = ?").get(alice.id);
+  assert.equal(snapshot.total_plays, 120);
+  assert.equal(snapshot.streak, 4);
+});
+
+test("a later ping with stats overwrites the previous totals", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: STATS, graphs: GRAPHS });
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: { ...STATS, totalPlays: 130, form: "Peak" } });
+
+  const row = account(alice.id);
+  assert.equal(row.total_plays, 130);
+  assert.equal(row.form, "Peak");
+  // graphs weren't sent this time
+  assert.equal(row.graphs_json, null);
+});
+
+test("identity-only pings inside the sync window skip the account write", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  env.DB.sqlite.prepare("UPDATE accounts SET last_seen = 1 WHERE osu_id = ?").run(alice.id);
+
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  assert.equal(account(alice.id).last_seen, 1);
+
+  // A stats ping always writes through
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: STATS });
+  assert.ok(account(alice.id).last_seen > 1);
+});
+
+test("opted-out accounts keep their identity fresh but store no stats", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  env.DB.sqlite.prepare("UPDATE accounts SET opt_out = 1 WHERE osu_id = ?").run(alice.id);
+
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: STATS, graphs: GRAPHS });
+  const row = account(alice.id);
+  assert.equal(row.total_plays, 0);
+  assert.equal(row.graphs_json, null);
+});
+
+test("session links the hardware id to the verified account", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+
+  assert.equal(session("hw-1").osu_id, alice.id);
+  assert.equal(await env.ONLINE_KV.get("hw_link:hw-1"), String(alice.id));
+});
+
+test("session relinks when the same hardware id switches accounts", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  await ping(env, { userId: "hw-1", token: "token-bob" });
+
+  assert.equal(session("hw-1").osu_id, bob.id);
+  assert.equal(await env.ONLINE_KV.get("hw_link:hw-1"), String(bob.id));
+});
+
+test("a rejected token still records the session, unlinked", async () => {
+  const res = await ping(env, { userId: "hw-1", token: "token-unknown", stats: STATS });
+
+  assert.equal(res.status, 200);
+  assert.equal(session("hw-1").osu_id, null);
+  assert.equal(env.DB.sqlite.prepare("SELECT COUNT(*) as n FROM accounts").get().n, 0);
+});
+
+test("invalid payloads are rejected with per-field errors", async () => {
+  const res = await call(env, "/v1/ping", { json: { userId: "hw-1", stats: { totalPlays: -5, form: "Godlike" } } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "invalid_payload");
+  const fields = res.body.error.fields.map(f => f.field).sort();
+  assert.deepEqual(fields, ["stats.form", "stats.totalPlays"]);
+  assert.equal(session("hw-1"), undefined);
+});
+
+test("invalid graph points are dropped instead of rejecting the ping", async () => {
+  const graphs = {
+    timeline: [
+      { d: "2026-01-01", p: 10, ur: 85 },
+      { d: "2026-01-02", p: 12, ur: 4000 },
+      { p: 3 },
+      { d: "2026-01-03", p: 8, m: 1200 },
+      { d: "2026-01-04", p: 9, m: 80 }
+    ],
+    histogram: { "0": 10, "5": -1, "abc": 3 },
+    streak: 4
+  };
+  const res = await ping(env, { userId: "hw-1", token: "token-alice", stats: STATS, graphs });
+
+  assert.equal(res.status, 200);
+  const stored = JSON.parse(account(alice.id).graphs_json);
+  assert.deepEqual(stored.timeline.map(p => p.d), ["2026-01-01", "2026-01-04"]);
+  assert.deepEqual(stored.histogram, { "0": 10 });
+  assert.equal(stored.streak, 4);
+});
+
+test("legacy /ping errors keep the bare error shape", async () => {
+  const res = await ping(env, { stats: STATS });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "Invalid payload");
+  assert.ok(Array.isArray(res.body.fields));
+});
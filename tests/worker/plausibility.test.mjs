@@ -0,0 +1,112 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping } from "./harness.mjs";
+
+const env = createEnv();
+// Each test installs the osu! user it needs under "token"
+const users = {};
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.97, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+const DAY_MS = 86400000;
+
+before(async () => {
+  osu = stubOsuApi(users);
+  await migrate(env);
+});
+beforeEach(() => {
+  env.reset();
+  users.token = osuUser(2001, "Alice");
+});
+after(() => osu.restore());
+
+const send = (stats = {}, graphs) => ping(env, { userId: "hw-1", token: "token", stats: { ...STATS, ...stats }, graphs });
+const flags = () => env.DB.sqlite.prepare("SELECT rule, severity, detail FROM account_flags WHERE osu_id = 2001 AND resolved_at IS NULL ORDER BY rule").all()
+  .map(f => ({ ...f, detail: JSON.parse(f.detail) }));
+const flagged = () => env.DB.sqlite.prepare("SELECT flagged FROM accounts WHERE osu_id = 2001").get().flagged;
+
+test("plausible stats from an established account raise nothing", async () => {
+  await send();
+  await send({ totalPlays: 125, totalTime: 305 });
+
+  assert.deepEqual(flags(), []);
+  assert.equal(flagged(), 0);
+});
+
+test("more tracked plays than osu! has counted flags the account", async () => {
+  users.token = osuUser(2001, "Alice", { statistics: { pp: 5000, ranked_score: 1000000, play_count: 100, level: { current: 100 } } });
+  await send({ totalPlays: 500 });
+
+  assert.deepEqual(flags().map(f => [f.rule, f.severity]), [["plays_exceed_osu_play_count", "flag"]]);
+  assert.deepEqual(flags()[0].detail, { tracked: 500, osu: 100 });
+  assert.equal(flagged(), 1);
+});
+
+test("an average above the profile's total pp flags the account", async () => {
+  users.token = osuUser(2001, "Alice", { statistics: { pp: 300, ranked_score: 1000000, play_count: 100000, level: { current: 100 } } });
+  await send({ avgPP: 400 });
+
+  assert.deepEqual(flags().map(f => f.rule), ["avg_pp_exceeds_profile_pp"]);
+  assert.equal(flagged(), 1);
+});
+
+test("a perf match beyond the possible range flags the account", async () => {
+  await send({ perfMatch: 500 });
+
+  assert.deepEqual(flags().map(f => f.rule), ["perf_match_out_of_range"]);
+});
+
+test("streaks and play time longer than the account has existed are flagged", async () => {
+  users.token = osuUser(2001, "Alice", { join_date: new Date(Date.now() - 2 * DAY_MS).toISOString() });
+  await send({ totalTime: 10000 }, { streak: 30 });
+
+  const found = flags();
+  assert.deepEqual(found.map(f => f.rule), ["streak_exceeds_account_age", "time_exceeds_wall_clock"]);
+  assert.equal(found[0].detail.account_age_days, 3);
+  assert.equal(flagged(), 1);
+});
+
+test("account-age rules are skipped while the account origin is unknown", async () => {
+  // No osu! join date and no first_seen yet: a new player's lifetime totals can't be bounded
+  users.token = osuUser(2001, "Alice", { join_date: undefined });
+  await send({ totalTime: 30000 }, { streak: 20 });
+
+  assert.deepEqual(flags(), []);
+  assert.equal(flagged(), 0);
+});
+
+test("heavy tracking on a barely used osu! account is queued for review only", async () => {
+  users.token = osuUser(2001, "Alice", { statistics: { pp: 5000, ranked_score: 0, play_count: 100000, level: { current: 1 } } });
+  await send({ totalPlays: 300 });
+
+  assert.deepEqual(flags().map(f => [f.rule, f.severity]), [["low_osu_activity", "review"]]);
+  assert.equal(flagged(), 0);
+});
+
+test("a jump in plays since the last ping is queued for review", async () => {
+  await send();
+  await send({ totalPlays: 1120 });
+
+  const [finding] = flags();
+  assert.equal(finding.rule, "play_delta_too_large");
+  assert.equal(finding.severity, "review");
+  assert.equal(finding.detail.plays_delta, 1000);
+  assert.equal(flagged(), 0);
+});
+
+test("a large swing in average pp is queued for review", async () => {
+  await send();
+  await send({ totalPlays: 125, avgPP: 400 });
+
+  assert.deepEqual(flags().map(f => [f.rule, f.severity]), [["avg_pp_swing", "review"]]);
+  assert.deepEqual(flags()[0].detail, { previous: 150, submitted: 400 });
+});
+
+test("a repeated finding refreshes the open flag instead of opening another", async () => {
+  await send({ perfMatch: 500 });
+  await send({ perfMatch: 600 });
+
+  const found = flags();
+  assert.equal(found.length, 1);
+  assert.deepEqual(found[0].detail, { perf_match: 600 });
+});
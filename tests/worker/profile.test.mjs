@@ -0,0 +1,69 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", country: "US", total_plays: 500, avg_pp: 120, avg_acc: 0.95, avg_ur: 80 },
+    { osu_id: 2, username: "Bob", country: "DE", total_plays: 300, avg_pp: 200, avg_acc: 0.91, avg_ur: 0 },
+    { osu_id: 3, username: "Carol", country: "US", total_plays: 900, avg_pp: 80, avg_acc: 0.98, avg_ur: 95 },
+    { osu_id: 4, username: "Hidden", hidden: 1 },
+    { osu_id: 5, username: "Private", opt_out: 1 }
+  ]);
+});
+
+test("looks up a profile by username, case-insensitively", async () => {
+  const res = await call(env, "/v1/profile/u/aLiCe");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.osu_id, 1);
+  assert.equal(res.body.data.username, "Alice");
+  assert.equal(res.body.error, null);
+});
+
+test("legacy profile lookups return the bare account row", async () => {
+  const res = await call(env, "/profile/u/Bob");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.osu_id, 2);
+  assert.equal(res.body.total_plays, 300);
+});
+
+test("unknown, hidden and opted-out players are not found", async () => {
+  for (const name of ["Nobody", "Hidden", "Private"]) {
+    const res = await call(env, `/v1/profile/u/${name}`);
+    assert.equal(res.status, 404, name);
+    assert.equal(res.body.error.code, "not_found", name);
+  }
+
+  const legacy = await call(env, "/profile/u/Nobody");
+  assert.equal(legacy.status, 404);
+  assert.deepEqual(legacy.body, { error: "User not found" });
+});
+
+test("username wildcards are matched literally", async () => {
+  const res = await call(env, `/v1/profile/u/${encodeURIComponent("%")}`);
+  assert.equal(res.status, 404);
+});
+
+test("ranks count only strictly better ranked players", async () => {
+  const res = await call(env, "/v1/profile/u/alice/ranks");
+
+  assert.equal(res.status, 200);
+  const { players, ranks } = res.body.data;
+  assert.deepEqual(players, { global: 3, country: 2 });
+  assert.equal(ranks.avg_pp.global, 2);
+  assert.equal(ranks.avg_pp.country, 1);
+  assert.equal(ranks.total_plays.global, 2);
+  // Lower UR is better and a UR of 0 is "no data", so Bob doesn't outrank Alice
+  assert.equal(ranks.avg_ur.global, 1);
+});
+
+test("unknown routes and wrong methods get 404 and 405", async () => {
+  assert.equal((await call(env, "/v1/nope")).status, 404);
+  assert.equal((await call(env, "/v1/profile/u/Alice", { method: "DELETE" })).status, 405);
+});
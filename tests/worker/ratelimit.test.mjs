@@ -0,0 +1,93 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+const IP = { "CF-Connecting-IP": "203.0.113.7" };
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [{ osu_id: 1, username: "Alice", total_plays: 500 }, { osu_id: 2, username: "Bob", total_plays: 300 }]);
+});
+
+// Fills the leaderboard budget (60/min) for IP; the next window is filled too so a minute boundary can't reset it
+async function exhaustLeaderboardBudget(ip) {
+  const window = Math.floor(Date.now() / 60000);
+  for (const w of [window, window + 1]) await env.ONLINE_KV.put(`rl:leaderboard:${ip}:${w}`, "60");
+}
+
+// Makes KV writes to keys with `prefix` throw, as KV does past one write per second per key
+function failWrites(prefix) {
+  const put = env.ONLINE_KV.put;
+  env.ONLINE_KV.put = async (key, ...rest) => {
+    if (key.startsWith(prefix)) throw new Error("KV PUT failed: 429 Too Many Requests");
+    return put(key, ...rest);
+  };
+  return () => { env.ONLINE_KV.put = put; };
+}
+
+test("requests over budget get 429 with Retry-After", async () => {
+  await exhaustLeaderboardBudget("203.0.113.7");
+  const res = await call(env, "/v1/leaderboard", { headers: IP });
+
+  assert.equal(res.status, 429);
+  assert.equal(res.body.error.code, "rate_limited");
+  const retryAfter = parseInt(res.headers.get("Retry-After"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal(res.body.error.retry_after, retryAfter);
+
+  const legacy = await call(env, "/leaderboard", { headers: IP });
+  assert.equal(legacy.status, 429);
+  assert.equal(legacy.body.error, "Too many requests");
+
+  // Budgets are per client
+  assert.equal((await call(env, "/v1/leaderboard", { headers: { "CF-Connecting-IP": "203.0.113.8" } })).status, 200);
+});
+
+test("each allowed request is counted", async () => {
+  for (let i = 0; i < 3; i++) await call(env, `/v1/profile/u/Alice`, { headers: IP });
+  const window = Math.floor(Date.now() / 60000);
+  const counted = [window - 1, window].map(w => parseInt(env.ONLINE_KV.entries.get(`rl:profile:203.0.113.7:${w}`)?.value) || 0);
+  assert.equal(counted[0] + counted[1], 3);
+});
+
+test("a failing counter write lets the request through", async () => {
+  const restore = failWrites("rl:");
+  try {
+    const res = await call(env, "/v1/leaderboard", { headers: IP });
+    assert.equal(res.status, 200);
+  } finally {
+    restore();
+  }
+});
+
+test("leaderboard pages are cached for 30 seconds regardless of query param order", async () => {
+  const miss = await call(env, "/v1/leaderboard?sort=avg_pp&limit=10");
+  assert.equal(miss.headers.get("X-Cache"), "MISS");
+
+  env.DB.sqlite.prepare("UPDATE accounts SET total_plays = 0 WHERE osu_id = 1").run();
+  const hit = await call(env, "/v1/leaderboard?limit=10&sort=avg_pp");
+  assert.equal(hit.headers.get("X-Cache"), "HIT");
+  assert.deepEqual(hit.body.data, miss.body.data);
+
+  // Once the stored entry is older than 30s it is recomputed
+  const key = "resp_cache:/v1/leaderboard?limit=10&sort=avg_pp";
+  const entry = JSON.parse(env.ONLINE_KV.entries.get(key).value);
+  await env.ONLINE_KV.put(key, JSON.stringify({ ...entry, cachedAt: Date.now() - 31 * 1000 }));
+  const stale = await call(env, "/v1/leaderboard?sort=avg_pp&limit=10");
+  assert.equal(stale.headers.get("X-Cache"), "MISS");
+  assert.deepEqual(stale.body.data.results.map(r => r.username), ["Bob"]);
+});
+
+test("a failing cache write still serves the page", async () => {
+  const restore = failWrites("resp_cache:");
+  try {
+    const res = await call(env, "/v1/leaderboard");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("X-Cache"), "MISS");
+    assert.equal(res.body.data.total, 2);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,37 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call } from "./harness.mjs";
+
+const env = createEnv();
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [{ osu_id: 1, username: "Ärger 99" }]);
+});
+
+test("unknown paths are 404 and known paths with the wrong method are 405", async () => {
+  const missing = await call(env, "/v1/nope");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, "not_found");
+
+  const method = await call(env, "/v1/leaderboard", { method: "DELETE" });
+  assert.equal(method.status, 405);
+  assert.equal(method.body.error.code, "method_not_allowed");
+});
+
+test("path params are URI-decoded", async () => {
+  const res = await call(env, `/v1/profile/u/${encodeURIComponent("Ärger 99")}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.osu_id, 1);
+});
+
+test("malformed percent-encoding in a path param is a 400, not a 500", async () => {
+  const res = await call(env, "/v1/profile/u/%E0%A4%A");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "invalid_path");
+
+  const legacy = await call(env, "/profile/u/%E0%A4%A/history");
+  assert.equal(legacy.status, 400);
+  assert.equal(legacy.body.error, "Malformed percent-encoding in the URL path");
+});
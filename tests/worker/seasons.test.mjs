@@ -0,0 +1,59 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(4001, "Alice");
+let osu;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.96, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => env.reset());
+after(() => osu.restore());
+
+const send = (stats, userId = "hw-1") => ping(env, { userId, token: "token-alice", stats: { ...STATS, ...stats } });
+const seasonRows = () => env.DB.sqlite.prepare("SELECT s.kind, ss.plays, ss.time FROM season_stats ss JOIN seasons s ON s.id = ss.season_id WHERE ss.osu_id = ? ORDER BY s.kind")
+  .all(alice.id).map(r => ({ ...r }));
+
+test("plays gained between pings count towards every open season", async () => {
+  await send();
+  await send({ totalPlays: 130, totalTime: 320, avgPP: 151 });
+
+  assert.deepEqual(seasonRows(), [{ kind: "monthly", plays: 10, time: 20 }, { kind: "weekly", plays: 10, time: 20 }]);
+  const { pp_sum } = env.DB.sqlite.prepare("SELECT pp_sum FROM season_stats WHERE osu_id = ? LIMIT 1").get(alice.id);
+  assert.equal(Math.round(pp_sum), 130 * 151 - 120 * 150);
+});
+
+test("the first stats after an identity-only ping are history, not season progress", async () => {
+  await ping(env, { userId: "hw-1", token: "token-alice" });
+  await send({ totalPlays: 5000, totalTime: 30000 });
+  assert.deepEqual(seasonRows(), []);
+
+  await send({ totalPlays: 5004, totalTime: 30010 });
+  assert.deepEqual(seasonRows(), [{ kind: "monthly", plays: 4, time: 10 }, { kind: "weekly", plays: 4, time: 10 }]);
+});
+
+test("totals reported after an admin wipe start a new baseline", async () => {
+  await send();
+  await call(env, "/v1/admin/accounts/4001/wipe", { headers: { "X-Admin-Secret": "test-admin-secret" }, json: {} });
+  await send({ totalPlays: 3000, totalTime: 9000 });
+
+  assert.deepEqual(seasonRows(), []);
+});
+
+test("an admin wipe takes the player off the open season boards", async () => {
+  await send();
+  await send({ totalPlays: 130, totalTime: 320 });
+  assert.equal(seasonRows().length, 2);
+
+  await call(env, "/v1/admin/accounts/4001/wipe", { headers: { "X-Admin-Secret": "test-admin-secret" }, json: {} });
+
+  assert.deepEqual(seasonRows(), []);
+  const board = await call(env, "/v1/leaderboard?season=current");
+  assert.deepEqual(board.body.data.results, []);
+  assert.equal(board.body.data.total, 0);
+});
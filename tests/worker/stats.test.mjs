@@ -0,0 +1,83 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, seedAccounts, call, createContext, worker } from "./harness.mjs";
+
+const env = createEnv();
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const now = Date.now();
+
+before(() => migrate(env));
+beforeEach(() => {
+  env.reset();
+  seedAccounts(env, [
+    { osu_id: 1, username: "Alice", total_plays: 500, total_time: 600, avg_pp: 120, avg_acc: 0.95, avg_ur: 90, form: "Great", first_seen: now - 2 * DAY },
+    { osu_id: 2, username: "Bob", total_plays: 300, total_time: 1200, avg_pp: 260, avg_acc: 0.91, avg_ur: 0, form: "Peak", first_seen: now - 40 * DAY },
+    // Outliers fold into the edge buckets
+    { osu_id: 3, username: "Carol", total_plays: 200, total_time: 60, avg_pp: 600, avg_acc: 0.5, avg_ur: 300, form: "Stable" },
+    // Registered but off the boards: counted in total_players only
+    { osu_id: 4, username: "Cheater", total_plays: 9999, total_time: 99999, avg_pp: 999, form: "Peak", flagged: 1 },
+    { osu_id: 5, username: "Empty", total_plays: 0 }
+  ]);
+  const session = env.DB.sqlite.prepare("INSERT INTO sessions (hardware_id, osu_id, last_seen) VALUES (?, ?, ?)");
+  // Alice's two devices count as one player; guests count by hardware id
+  session.run("hw-a1", 1, now - HOUR);
+  session.run("hw-a2", 1, now - 2 * HOUR);
+  session.run("hw-guest", null, now - 3 * DAY);
+  session.run("hw-b", 2, now - 20 * DAY);
+  session.run("hw-old", 5, now - 60 * DAY);
+});
+
+async function runJobs() {
+  const ctx = createContext();
+  await worker.scheduled({ scheduledTime: now }, env, ctx);
+  await ctx.settle();
+}
+
+const filled = (buckets) => buckets.filter(b => b.count).map(b => [b.from, b.count]);
+
+test("the community_stats job aggregates ranked players into the cached payload", async () => {
+  await runJobs();
+
+  const entry = env.ONLINE_KV.entries.get("community_stats");
+  assert.ok(entry, "payload cached in KV");
+  assert.equal(entry.expirationTtl, 86400);
+  const stats = JSON.parse(entry.value);
+
+  assert.equal(stats.generated_at, now);
+  assert.equal(stats.total_players, 4);
+  assert.equal(stats.ranked_players, 3);
+  assert.deepEqual(stats.active_players, { daily: 1, weekly: 2, monthly: 3 });
+  assert.equal(stats.total_plays, 1000);
+  assert.equal(stats.total_hours, 31);
+  assert.deepEqual(stats.registrations, [{ day: new Date(now - 2 * DAY).toISOString().slice(0, 10), count: 1 }]);
+  assert.deepEqual(stats.forms, { Peak: 1, Great: 1, Stable: 1, Slumping: 0, Burnout: 0, Unknown: 0 });
+
+  assert.equal(stats.histograms.avg_pp.length, 20);
+  assert.deepEqual(filled(stats.histograms.avg_pp), [[100, 1], [250, 1], [475, 1]]);
+  assert.deepEqual(filled(stats.histograms.avg_acc), [[0.8, 1], [0.91, 1], [0.95, 1]]);
+  // A UR of 0 means no data and stays out of the histogram
+  assert.deepEqual(filled(stats.histograms.avg_ur), [[90, 1], [190, 1]]);
+});
+
+test("/stats serves the job's payload from KV", async () => {
+  await runJobs();
+  // A player joining after the run doesn't show until the next one
+  seedAccounts(env, [{ osu_id: 6, username: "Late" }]);
+
+  const res = await call(env, "/v1/stats");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("X-Cache"), "HIT");
+  assert.equal(res.body.data.ranked_players, 3);
+  assert.equal(res.body.data.generated_at, now);
+});
+
+test("/stats computes and caches inline before the first job run", async () => {
+  const res = await call(env, "/stats");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("X-Cache"), "MISS");
+  assert.equal(res.body.ranked_players, 3);
+  assert.ok(env.ONLINE_KV.entries.has("community_stats"));
+  assert.equal((await call(env, "/stats")).headers.get("X-Cache"), "HIT");
+});
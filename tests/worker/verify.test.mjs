@@ -0,0 +1,103 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createEnv, migrate, stubOsuApi, osuUser, call } from "./harness.mjs";
+
+const env = createEnv();
+const alice = osuUser(3001, "Alice");
+let osu;
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  await migrate(env);
+});
+beforeEach(() => {
+  env.reset();
+  osu.calls.length = 0;
+  osu.outage = null;
+});
+after(() => osu.restore());
+
+// Any authenticated route works; this one only needs the verified user
+const authed = (token) => call(env, "/v1/me/following", { headers: { Authorization: `Bearer ${token}` } });
+
+async function cacheEntry(token) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+  const key = `osu_me:${[...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("")}`;
+  return { key, entry: env.ONLINE_KV.entries.get(key) };
+}
+
+const backoff = async () => env.ONLINE_KV.get("osu_backoff", "json");
+
+test("a verified token is served from KV until it goes stale", async () => {
+  assert.equal((await authed("token-alice")).status, 200);
+  assert.equal((await authed("token-alice")).status, 200);
+  assert.equal(osu.calls.length, 1);
+
+  const { key, entry } = await cacheEntry("token-alice");
+  assert.equal(entry.expirationTtl, 24 * 60 * 60);
+  assert.equal(JSON.parse(entry.value).user.id, alice.id);
+
+  // Past the 10 minute freshness window the token is checked with osu! again
+  const cached = JSON.parse(entry.value);
+  await env.ONLINE_KV.put(key, JSON.stringify({ ...cached, verifiedAt: Date.now() - 11 * 60 * 1000 }));
+  assert.equal((await authed("token-alice")).status, 200);
+  assert.equal(osu.calls.length, 2);
+});
+
+test("a rejected token is cached briefly so retries don't reach osu!", async () => {
+  assert.equal((await authed("token-bogus")).status, 401);
+  assert.equal((await authed("token-bogus")).status, 401);
+  assert.equal(osu.calls.length, 1);
+
+  const { entry } = await cacheEntry("token-bogus");
+  assert.deepEqual(JSON.parse(entry.value), { rejected: true });
+  assert.equal(entry.expirationTtl, 5 * 60);
+});
+
+test("upstream errors start a global backoff that skips osu! for every token", async () => {
+  osu.outage = { status: 503 };
+  assert.equal((await authed("token-alice")).status, 401);
+  assert.equal(osu.calls.length, 1);
+
+  const first = await backoff();
+  assert.equal(first.failures, 1);
+  assert.ok(first.until - Date.now() > 25 * 1000 && first.until - Date.now() <= 30 * 1000);
+
+  // Still backing off: no call for this or any other token, and nothing negatively cached
+  assert.equal((await authed("token-other")).status, 401);
+  assert.equal(osu.calls.length, 1);
+  assert.equal((await cacheEntry("token-other")).entry, undefined);
+});
+
+test("consecutive failures double the backoff and Retry-After overrides it", async () => {
+  osu.outage = "network";
+  await authed("token-alice");
+  await env.ONLINE_KV.put("osu_backoff", JSON.stringify({ ...(await backoff()), until: Date.now() - 1 }));
+  await authed("token-alice");
+
+  const second = await backoff();
+  assert.equal(second.failures, 2);
+  assert.ok(second.until - Date.now() > 55 * 1000 && second.until - Date.now() <= 60 * 1000);
+
+  await env.ONLINE_KV.put("osu_backoff", JSON.stringify({ ...second, until: Date.now() - 1 }));
+  osu.outage = { status: 429, retryAfter: 120 };
+  await authed("token-alice");
+  const third = await backoff();
+  assert.equal(third.failures, 3);
+  assert.ok(third.until - Date.now() > 115 * 1000 && third.until - Date.now() <= 120 * 1000);
+});
+
+test("a stale verification keeps working through an outage and a success ends the backoff", async () => {
+  await authed("token-alice");
+  const { key, entry } = await cacheEntry("token-alice");
+  await env.ONLINE_KV.put(key, JSON.stringify({ ...JSON.parse(entry.value), verifiedAt: Date.now() - 60 * 60 * 1000 }));
+
+  osu.outage = { status: 502 };
+  assert.equal((await authed("token-alice")).status, 200);
+  assert.ok(await backoff());
+
+  osu.outage = null;
+  await env.ONLINE_KV.put("osu_backoff", JSON.stringify({ ...(await backoff()), until: Date.now() - 1 }));
+  assert.equal((await authed("token-alice")).status, 200);
+  assert.equal(await backoff(), null);
+});
@@ -0,0 +1,169 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createEnv, migrate, stubOsuApi, osuUser, ping, call, createContext, startReceiver, worker } from "./harness.mjs";
+
+// Plain http so deliveries can reach the local receiver
+const env = createEnv({ WEBHOOK_ALLOW_HTTP: "true" });
+const alice = osuUser(6001, "Alice");
+const AUTH = { Authorization: "Bearer token-alice" };
+const ADMIN = { "X-Admin-Secret": "test-admin-secret" };
+let osu;
+let receiver;
+
+const STATS = { totalPlays: 120, totalTime: 300, avgAcc: 0.97, avgPP: 150, avgUR: 85, form: "Great", mentality: 70, perfMatch: 92 };
+
+before(async () => {
+  osu = stubOsuApi({ "token-alice": alice });
+  receiver = await startReceiver();
+  await migrate(env);
+});
+beforeEach(() => {
+  env.reset();
+  env.WEBHOOK_ALLOW_HTTP = "true";
+  receiver.requests.length = 0;
+  receiver.status = 200;
+});
+after(async () => {
+  osu.restore();
+  await receiver.close();
+});
+
+const subscribe = (body) => call(env, "/v1/me/webhooks", { headers: AUTH, json: { url: `${receiver.url}/hook`, events: ["form.peak"], ...body } });
+const delivery = () => env.DB.sqlite.prepare("SELECT * FROM webhook_deliveries ORDER BY id DESC LIMIT 1").get();
+
+// Sends a Peak-form ping and waits for the delivery it kicks off in the background
+async function pingPeak() {
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: STATS });
+  const ctx = createContext();
+  await ping(env, { userId: "hw-1", token: "token-alice", stats: { ...STATS, totalPlays: 125, form: "Peak" } }, { ctx });
+  await ctx.settle();
+}
+
+// Runs the scheduled delivery job as of `at`
+async function runDeliveries(at) {
+  await env.ONLINE_KV.delete("job_last_run:webhooks");
+  const ctx = createContext();
+  await worker.scheduled({ scheduledTime: at }, env, ctx);
+  await ctx.settle();
+}
+
+test("only https receivers are accepted unless WEBHOOK_ALLOW_HTTP is set", async () => {
+  env.WEBHOOK_ALLOW_HTTP = undefined;
+  const res = await subscribe();
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.error.fields, [{ field: "url", message: "must be an https URL" }]);
+});
+
+test("private and loopback receivers are rejected unless WEBHOOK_ALLOW_HTTP is set", async () => {
+  env.WEBHOOK_ALLOW_HTTP = undefined;
+  const hosts = [
+    "localhost", "api.localhost", "printer.local", "db.internal", "127.0.0.1", "2130706433", "0x7f.1", "10.1.2.3",
+    "172.20.0.1", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0", "[::1]", "[fd00::1]", "[fe80::1]", "[::ffff:127.0.0.1]"
+  ];
+  for (const host of hosts) {
+    const res = await subscribe({ url: `https://${host}/hook` });
+    assert.equal(res.status, 400, host);
+    assert.deepEqual(res.body.error.fields, [{ field: "url", message: "must not point at a private or loopback address" }], host);
+  }
+
+  for (const host of ["hooks.example.com", "8.8.8.8", "172.32.0.1", "[2606:4700::1111]"]) {
+    assert.equal((await subscribe({ url: `https://${host}/hook` })).status, 201, host);
+  }
+});
+
+test("events are delivered signed with the subscription secret", async () => {
+  const { body: { data: webhook } } = await subscribe();
+  assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+  await pingPeak();
+
+  assert.equal(receiver.requests.length, 1);
+  const [req] = receiver.requests;
+  assert.equal(req.method, "POST");
+  assert.equal(req.url, "/hook");
+  assert.equal(req.headers["x-osugrind-event"], "form.peak");
+  assert.equal(req.headers["x-osugrind-delivery"], String(delivery().id));
+
+  const [, t, v1] = req.headers["x-osugrind-signature"].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  assert.equal(v1, createHmac("sha256", webhook.secret).update(`${t}.${req.body}`).digest("hex"));
+  assert.ok(Math.abs(Date.now() / 1000 - parseInt(t)) < 60);
+
+  const payload = JSON.parse(req.body);
+  assert.equal(payload.event, "form.peak");
+  assert.equal(payload.account.username, "Alice");
+  assert.deepEqual(payload.data, { form: "Peak", previous_form: "Great" });
+  assert.equal(delivery().status, "delivered");
+});
+
+test("discord-format hooks get the message as content", async () => {
+  await subscribe({ format: "discord" });
+  await pingPeak();
+
+  assert.deepEqual(JSON.parse(receiver.requests[0].body), { content: "Alice is in Peak form" });
+});
+
+test("failed deliveries back off exponentially, then give up and count against the hook", async () => {
+  const { body: { data: webhook } } = await subscribe();
+  receiver.status = 500;
+  await pingPeak();
+
+  let row = delivery();
+  assert.equal(row.status, "pending");
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, "HTTP 500");
+  const firstDue = row.next_attempt_at;
+  assert.ok(firstDue - Date.now() > 25 * 1000 && firstDue - Date.now() <= 30 * 1000);
+
+  // Not due yet: nothing is sent
+  await runDeliveries(firstDue - 1000);
+  assert.equal(receiver.requests.length, 1);
+
+  await runDeliveries(firstDue);
+  row = delivery();
+  assert.equal(receiver.requests.length, 2);
+  assert.equal(row.attempts, 2);
+  assert.equal(row.next_attempt_at, firstDue + 120 * 1000);
+
+  // The last allowed attempt fails the delivery for good
+  env.DB.sqlite.prepare("UPDATE webhook_deliveries SET attempts = 5").run();
+  await runDeliveries(row.next_attempt_at);
+  assert.equal(delivery().status, "failed");
+  assert.equal(env.DB.sqlite.prepare("SELECT failures FROM webhooks WHERE id = ?").get(webhook.id).failures, 1);
+});
+
+test("a hook whose deliveries keep failing is switched off", async () => {
+  const { body: { data: webhook } } = await subscribe();
+  env.DB.sqlite.prepare("UPDATE webhooks SET failures = 4").run();
+  receiver.status = 503;
+  await pingPeak();
+  env.DB.sqlite.prepare("UPDATE webhook_deliveries SET attempts = 5").run();
+  await runDeliveries(delivery().next_attempt_at);
+
+  const hook = env.DB.sqlite.prepare("SELECT failures, disabled_at FROM webhooks WHERE id = ?").get(webhook.id);
+  assert.equal(hook.failures, 5);
+  assert.ok(hook.disabled_at > 0);
+});
+
+test("a successful delivery resets the failure count", async () => {
+  const { body: { data: webhook } } = await subscribe();
+  env.DB.sqlite.prepare("UPDATE webhooks SET failures = 3").run();
+  await pingPeak();
+
+  assert.equal(env.DB.sqlite.prepare("SELECT failures FROM webhooks WHERE id = ?").get(webhook.id).failures, 0);
+});
+
+test("the deliveries log lists attempts with their payloads", async () => {
+  const { body: { data: webhook } } = await subscribe();
+  receiver.status = 500;
+  await pingPeak();
+
+  const res = await call(env, `/v1/admin/webhooks/${webhook.id}/deliveries`, { headers: ADMIN });
+  assert.equal(res.status, 200);
+  const [entry] = res.body.data;
+  assert.equal(entry.event, "form.peak");
+  assert.equal(entry.status, "pending");
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.last_error, "HTTP 500");
+  assert.equal(entry.payload.account.osu_id, alice.id);
+  assert.equal(entry.delivered_at, null);
+});
@@ -0,0 +1,247 @@
+// Fixture loading and the read models ApiServer builds from the plays table, computed in memory.
+// Numbers follow TrackerDb/ApiServer closely enough for the UI to render realistic states; they are not a spec.
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+
+const DAY_MS = 86400000;
+
+export function loadFixtures(dir) {
+  const read = (name) => JSON.parse(readFileSync(join(dir, name), "utf8"));
+  return { plays: read("plays.json"), profile: read("profile.json"), settings: read("settings.json") };
+}
+
+// "YYYY-MM-DD" in local time, like SQLite's date(created_at_utc, 'localtime')
+export function localDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// osu!standard grade from hit counts; failed plays are always F
+function grade(play) {
+  if (play.outcome !== "pass") return "F";
+  const total = play.count300 + play.count100 + play.count50 + play.misses;
+  const r300 = total ? play.count300 / total : 0;
+  const r50 = total ? play.count50 / total : 0;
+  const hidden = /HD|FL/.test(play.mods);
+  if (r300 === 1) return hidden ? "XH" : "X";
+  if (r300 > 0.9 && r50 < 0.01 && play.misses === 0) return hidden ? "SH" : "S";
+  if ((r300 > 0.8 && play.misses === 0) || r300 > 0.9) return "A";
+  if ((r300 > 0.7 && play.misses === 0) || r300 > 0.8) return "B";
+  return r300 > 0.6 ? "C" : "D";
+}
+
+/**
+ * Turns fixture plays (dated by `daysAgo` + local `time` so they never go stale) into rows shaped like
+ * ApiServer's camelCased PlayRow. Newest first, ids counting up from the oldest play.
+ */
+export function materializePlays(fixtures, now = new Date()) {
+  const rows = fixtures.map((fixture) => {
+    const { daysAgo, time, hitErrors, ...play } = fixture;
+    const [h, m, s] = time.split(":").map(Number);
+    const played = new Date(now);
+    played.setDate(played.getDate() - daysAgo);
+    played.setHours(h, m, s, 0);
+    // Today's fixtures may be "later" than the clock; keep them in the past
+    if (played > now) played.setTime(now.getTime() - play.durationMs);
+    return { played, hitErrors, play };
+  }).sort((a, b) => a.played - b.played);
+
+  return rows.map(({ played, hitErrors, play }, i) => ({
+    id: i + 1,
+    createdAtUtc: played.toISOString(),
+    playedAtLocal: `${localDate(played)} ${played.toTimeString().slice(0, 8)}`,
+    timestamp: played.toLocaleString("en-US"),
+    beatmap: `${play.artist} - ${play.title} [${play.difficulty}]`,
+    ...play,
+    rank: grade(play),
+    hitErrorsJson: hitErrors ? JSON.stringify(hitErrors) : null,
+    notes: "",
+    backgroundPath: null,
+    mapPath: null,
+    replayFile: null
+  })).reverse();
+}
+
+// TrackerDb ignores zero-score rows everywhere
+const counted = (plays) => plays.filter(p => p.score > 0);
+
+function inPeriod(plays, days, now) {
+  if (days === -1) return plays.filter(p => localDate(new Date(p.createdAtUtc)) === localDate(now));
+  if (days > 0) return plays.filter(p => now - new Date(p.createdAtUtc) <= days * DAY_MS);
+  return plays;
+}
+
+const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+export function summarize(plays) {
+  return {
+    totalPlays: plays.length,
+    totalDurationMs: plays.reduce((sum, p) => sum + p.durationMs, 0),
+    avgPP: average(plays.map(p => p.pp)),
+    avgAccuracy: average(plays.map(p => p.accuracy)),
+    avgUR: average(plays.map(p => p.ur)),
+    avgKeyRatio: average(plays.map(p => p.keyRatio)),
+    passCount: plays.filter(p => p.outcome === "pass").length,
+    lastPlayed: plays.length ? new Date(Math.max(...plays.map(p => new Date(p.createdAtUtc)))) : null
+  };
+}
+
+// Buckets by local date (or by hour for `hourly`), like GetDailyStatsAsync/GetHourlyStatsTodayAsync
+function bucketStats(plays, keyOf, keys = []) {
+  const buckets = new Map(keys.map(k => [k, []]));
+  for (const p of plays) {
+    const key = keyOf(new Date(p.createdAtUtc));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(p);
+  }
+  return [...buckets.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([key, rows]) => ({ key, ...summarize(rows) }));
+}
+
+const hourOf = (date) => `${String(date.getHours()).padStart(2, "0")}:00`;
+
+export function historyForDay(plays, date) {
+  const day = counted(plays).filter(p => localDate(new Date(p.createdAtUtc)) === date);
+  const totalMs = day.reduce((sum, p) => sum + p.durationMs, 0);
+  const duration = totalMs >= 3600000
+    ? `${Math.floor(totalMs / 3600000)}h ${Math.floor((totalMs % 3600000) / 60000)}m`
+    : `${Math.floor(totalMs / 60000)}m`;
+  return {
+    plays: day,
+    stats: {
+      plays: day.length,
+      avgAccuracy: average(day.map(p => p.accuracy * 100)),
+      avgPP: average(day.map(p => p.pp)),
+      duration
+    }
+  };
+}
+
+export function monthPlayCounts(plays, year, month) {
+  const prefix = `${year}-${String(month).padStart(2, "0")}-`;
+  const counts = {};
+  for (const p of counted(plays)) {
+    const date = localDate(new Date(p.createdAtUtc));
+    if (date.startsWith(prefix)) counts[date] = (counts[date] || 0) + 1;
+  }
+  return counts;
+}
+
+export function goalProgress(plays, settings, now = new Date()) {
+  const today = inPeriod(counted(plays), -1, now);
+  return {
+    plays: today.length,
+    hits: today.reduce((sum, p) => sum + p.count300 + p.count100 + p.count50 + p.misses, 0),
+    stars: today.filter(p => (p.stars || 0) >= settings.goalStars).length,
+    pp: today.reduce((sum, p) => sum + p.pp, 0)
+  };
+}
+
+// Consecutive days with every set goal met, counting today only once it is met
+function playStreak(plays, settings, now) {
+  const { goalPlays, goalHits, goalStars, goalPP } = settings;
+  if (!(goalPlays > 0 || goalHits > 0 || goalStars > 0 || goalPP > 0)) return 0;
+
+  const met = (date) => {
+    const day = counted(plays).filter(p => localDate(new Date(p.createdAtUtc)) === date);
+    if (!day.length) return false;
+    const hits = day.reduce((sum, p) => sum + p.count300 + p.count100 + p.count50 + p.misses, 0);
+    const pp = day.reduce((sum, p) => sum + p.pp, 0);
+    return !(goalPlays > 0 && day.length < goalPlays)
+      && !(goalHits > 0 && hits < goalHits)
+      && !(goalStars > 0 && !day.some(p => (p.stars || 0) >= goalStars))
+      && !(goalPP > 0 && pp < goalPP);
+  };
+
+  const check = new Date(now);
+  let streak = met(localDate(check)) ? 1 : 0;
+  check.setDate(check.getDate() - 1);
+  while (met(localDate(check))) {
+    streak++;
+    check.setDate(check.getDate() - 1);
+  }
+  return streak;
+}
+
+/** GET /api/analytics: same fields and form/mentality/perf-match rules as ApiServer.GetAnalyticsDataAsync. */
+export function analytics(allPlays, days, settings, now = new Date()) {
+  const plays = counted(allPlays);
+  const period = inPeriod(plays, days, now);
+  const summary = summarize(period);
+  const allTime = summarize(plays);
+  const allDaily = bucketStats(plays, localDate);
+
+  let referencePP = 1;
+  let referenceAcc = 0.95;
+  let targetUR = 80;
+  if (allDaily.length) {
+    const topDays = [...allDaily].sort((a, b) => b.avgPP - a.avgPP).slice(0, 5);
+    referencePP = average(topDays.map(d => d.avgPP)) || 1;
+    referenceAcc = average(topDays.map(d => d.avgAccuracy));
+    const steadyDays = allDaily.filter(d => d.avgUR > 40).sort((a, b) => a.avgUR - b.avgUR).slice(0, 5);
+    targetUR = steadyDays.length ? average(steadyDays.map(d => d.avgUR)) : 100;
+  }
+
+  const recent = summarize(inPeriod(plays, 14, now));
+  const ratio = recent.avgPP / referencePP;
+  let currentForm = "Stable";
+  if (recent.totalPlays > 0) {
+    if (ratio > 1.05) currentForm = "Peak";
+    else if (ratio > 0.96) currentForm = "Great";
+    else if (ratio > 0.88) currentForm = "Stable";
+    else if (ratio > 0.75) currentForm = "Slumping";
+    else currentForm = "Burnout";
+  }
+
+  const recentMind = summarize(inPeriod(plays, 3, now));
+  let mentality = 75;
+  if (recentMind.totalPlays > 0) {
+    const resilience = recentMind.passCount / recentMind.totalPlays * 100;
+    const focus = Math.min(100, Math.max(0, recentMind.totalDurationMs / recentMind.totalPlays / 180000 * 100));
+    const consistency = Math.min(100, Math.max(0, recentMind.avgPP / referencePP * 100));
+    const urPenalty = recentMind.avgUR > 120 ? 0.8 : recentMind.avgUR > 90 ? 0.9 : 1;
+    const inactiveDays = (now - recentMind.lastPlayed) / DAY_MS;
+    const hours = recentMind.totalDurationMs / 3600000;
+    const fatigue = hours > 6 ? 0.6 : hours > 3 ? 0.85 : 1;
+    // The goal-progress modifier is left out; it depends on the time of day and makes fixtures flaky
+    mentality = (resilience * 0.2 + focus * 0.4 + consistency * 0.4) * Math.pow(0.92, Math.max(0, inactiveDays - 0.5)) * fatigue * urPenalty;
+  }
+
+  const ppFactor = allTime.avgPP / referencePP;
+  const accFactor = referenceAcc > 0 ? allTime.avgAccuracy / referenceAcc : 0;
+  const urFactor = allTime.avgUR > 0 ? targetUR / allTime.avgUR : 0;
+  const perfMatch = ppFactor * 0.6 + accFactor * 0.3 + Math.min(1.2, urFactor) * 0.1;
+
+  const daily = days === -1
+    ? bucketStats(period, hourOf, Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, "0")}:00`))
+    : bucketStats(period, localDate);
+
+  return {
+    totalPlays: summary.totalPlays,
+    totalMinutes: summary.totalDurationMs / 60000,
+    avgAccuracy: summary.avgAccuracy,
+    avgPP: summary.avgPP,
+    avgUR: summary.avgUR,
+    avgKeyRatio: summary.avgKeyRatio,
+    playsToday: inPeriod(plays, -1, now).length,
+    streak: playStreak(plays, settings, now),
+    perfMatch: Math.round(perfMatch * 1000) / 10,
+    currentForm,
+    mentality: Math.min(100, Math.max(0, mentality)),
+    dailyActivity: daily.map(d => ({
+      date: d.key, plays: d.totalPlays, minutes: d.totalDurationMs / 60000,
+      avgPP: d.avgPP, avgAcc: d.avgAccuracy * 100, avgUR: d.avgUR, avgKeyRatio: d.avgKeyRatio
+    })),
+    hitErrors: inPeriod(allPlays, days, now).flatMap(p => p.hitErrorsJson ? JSON.parse(p.hitErrorsJson) : [])
+  };
+}
+
+export function topPlays(plays, limit = 100) {
+  return [...counted(plays)].sort((a, b) => b.pp - a.pp).slice(0, limit);
+}
+
+export function playsCsv(plays) {
+  const columns = ["id", "createdAtUtc", "artist", "title", "difficulty", "mods", "stars", "accuracy", "score", "combo", "misses", "pp", "ur", "outcome"];
+  const cell = (v) => /[",\n]/.test(String(v ?? "")) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? "");
+  return [columns.join(","), ...plays.map(p => columns.map(c => cell(p[c])).join(","))].join("\n") + "\n";
+}
@@ -0,0 +1,438 @@
+// Stand-in for the desktop app's ApiServer so the WebUI can be developed in a plain browser:
+// serves WebUI/, answers every /api route the UI calls from fixtures, and replays recorded /ws/live sessions.
+//
+//   node tools/mock-server/server.mjs [--port 7777] [--session <name or recording.json>] [--speed 1] [--loop]
+//
+// Built-ins only. Plays, settings and the profile live in memory and reset on restart.
+
+import { createServer } from "node:http";
+import { readFileSync, readdirSync, statSync, existsSync } from "node:fs";
+import { join, resolve, extname, sep, dirname } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { acceptWebSocket } from "./websocket.mjs";
+import {
+  loadFixtures, materializePlays, historyForDay, monthPlayCounts, goalProgress, analytics, topPlays, playsCsv
+} from "./data.mjs";
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const WEB_ROOT = resolve(HERE, "../../WebUI");
+const SKINS_ROOT = join(WEB_ROOT, "rewind", "Skins");
+export const FIXTURES_DIR = join(HERE, "fixtures");
+export const SESSIONS_DIR = join(HERE, "sessions");
+
+// Must match ApiServer.LiveProtocolVersion / LIVE_PROTOCOL_VERSION in api.js
+const LIVE_PROTOCOL_VERSION = 2;
+const MOCK_APP_VERSION = "mock";
+// Gap between the end of a looped recording and its restart
+const LOOP_PAUSE_MS = 2000;
+
+const CONTENT_TYPES = {
+  ".html": "text/html", ".css": "text/css", ".js": "application/javascript", ".mjs": "application/javascript",
+  ".json": "application/json", ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".svg": "image/svg+xml",
+  ".ico": "image/x-icon", ".ogg": "audio/ogg", ".mp3": "audio/mpeg", ".wav": "audio/wav", ".woff": "font/woff",
+  ".woff2": "font/woff2", ".ttf": "font/ttf", ".osu": "text/plain", ".osr": "application/octet-stream"
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const notFound = (message = "Not found") => new HttpError(404, message);
+
+// Session names are file names in the sessions dir, never paths
+const SESSION_NAME = /^[\w-]+$/;
+
+// ═══ Recorded sessions ═══
+
+export function listSessions(dir = SESSIONS_DIR) {
+  return readdirSync(dir).filter(f => f.endsWith(".json")).map(f => f.slice(0, -5)).sort();
+}
+
+/**
+ * Reads a recording ({ format, version, protocol, frames: [{ t, message }] }) by name, or by path to a .json file.
+ * Paths are for the CLI only; HTTP routes pass names checked against SESSION_NAME.
+ */
+export function loadSession(nameOrPath, dir = SESSIONS_DIR) {
+  const path = nameOrPath.endsWith(".json") ? nameOrPath : join(dir, `${nameOrPath}.json`);
+  if (!existsSync(path)) throw notFound(`Session not found: ${nameOrPath}`);
+  let recording;
+  try {
+    recording = JSON.parse(readFileSync(path, "utf8"));
+  } catch {
+    recording = null;
+  }
+  if (recording?.format !== "osugrind-live-recording" || !Array.isArray(recording.frames)) {
+    throw new HttpError(400, `Not a live recording: ${nameOrPath}`);
+  }
+  return recording;
+}
+
+// ═══ Server ═══
+
+/**
+ * Creates the mock backend. `session`/`speed`/`loop` configure the replay that starts when the first
+ * live client connects; `now` pins the clock fixtures are dated against. Call `listen()` to start.
+ */
+export function createMockServer({ session = null, speed = 1, loop = false, now = () => new Date(), fixturesDir = FIXTURES_DIR, sessionsDir = SESSIONS_DIR } = {}) {
+  const fixtures = loadFixtures(fixturesDir);
+  const state = {
+    plays: materializePlays(fixtures.plays, now()),
+    settings: { ...fixtures.settings },
+    profile: { ...fixtures.profile },
+    loggedIn: fixtures.profile.isLoggedIn !== false
+  };
+  const clients = new Set();
+  const replay = { name: session, speed, loop, timer: null, running: false };
+
+  const message = (type, data) => JSON.stringify({ v: LIVE_PROTOCOL_VERSION, type, data });
+  const broadcast = (type, data = {}) => {
+    for (const client of clients) client.send(message(type, data));
+  };
+  const refresh = (...scopes) => broadcast("refresh", { scopes: scopes.length ? scopes : ["history", "analytics", "goals", "profile"] });
+
+  function stopReplay() {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.running = false;
+  }
+
+  // Plays a recording to every connected client, keeping the recorded gaps (divided by `speed`)
+  function startReplay(name = replay.name, options = {}) {
+    stopReplay();
+    if (!name) return null;
+    const recording = loadSession(name, sessionsDir);
+    Object.assign(replay, { name, speed: options.speed ?? replay.speed, loop: options.loop ?? replay.loop, running: true });
+
+    // The server's own hello already went out on connect
+    const frames = recording.frames.filter(f => f.message?.type !== "hello");
+    if (!frames.length) {
+      stopReplay();
+      return { name, frames: 0, speed: replay.speed, loop: replay.loop };
+    }
+    let index = 0;
+    const step = () => {
+      const frame = frames[index++];
+      const text = frame.raw ?? JSON.stringify(frame.message);
+      for (const client of clients) client.send(text);
+      if (index >= frames.length) {
+        if (!replay.loop) return stopReplay();
+        index = 0;
+        replay.timer = setTimeout(step, LOOP_PAUSE_MS / replay.speed);
+        return;
+      }
+      replay.timer = setTimeout(step, Math.max(0, (frames[index].t - frame.t) / replay.speed));
+    };
+    replay.timer = setTimeout(step, 0);
+    return { name, frames: frames.length, speed: replay.speed, loop: replay.loop };
+  }
+
+  const playById = (id) => {
+    const play = state.plays.find(p => p.id === Number(id));
+    if (!play) throw notFound("Play not found");
+    return play;
+  };
+
+  const days = (url) => {
+    const value = url.searchParams.get("days");
+    if (value === "today") return -1;
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) ? parsed : 30;
+  };
+
+  const intParam = (url, key, fallback) => {
+    const parsed = parseInt(url.searchParams.get(key));
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+
+  // Same table shape as the worker's ROUTES: first method + path match wins, params come from the regex groups
+  const ROUTES = [
+    { method: "GET", path: /^\/api\/history\/recent$/, handler: ({ url }) => state.plays.filter(p => p.score > 0).slice(0, intParam(url, "limit", 50)) },
+    {
+      method: "GET", path: /^\/api\/history\/month$/, handler: ({ url }) => {
+        const today = now();
+        return { playCounts: monthPlayCounts(state.plays, intParam(url, "year", today.getFullYear()), intParam(url, "month", today.getMonth() + 1)) };
+      }
+    },
+    {
+      method: "GET", path: /^\/api\/history$/, handler: ({ url }) => {
+        const date = url.searchParams.get("date");
+        if (!date) throw new HttpError(400, "Date missing");
+        return historyForDay(state.plays, date);
+      }
+    },
+    { method: "GET", path: /^\/api\/analytics$/, handler: ({ url }) => analytics(state.plays, days(url), state.settings, now()) },
+    {
+      method: "GET", path: /^\/api\/goals$/, handler: () => ({
+        settings: { plays: state.settings.goalPlays, hits: state.settings.goalHits, stars: state.settings.goalStars, pp: state.settings.goalPP },
+        progress: goalProgress(state.plays, state.settings, now())
+      })
+    },
+    {
+      method: "POST", path: /^\/api\/goals\/save$/, handler: ({ body }) => {
+        if (!body) throw new HttpError(400, "Invalid payload");
+        for (const [key, setting] of [["plays", "goalPlays"], ["hits", "goalHits"], ["stars", "goalStars"], ["pp", "goalPP"]]) {
+          if (body[key] !== undefined) state.settings[setting] = Number(body[key]) || 0;
+        }
+        refresh("goals");
+        return { success: true };
+      }
+    },
+    { method: "GET", path: /^\/api\/profile$/, handler: () => state.loggedIn ? { ...state.profile, isLoggedIn: true } : { isLoggedIn: false } },
+    { method: "GET", path: /^\/api\/profile\/top$/, handler: () => topPlays(state.plays) },
+    { method: "GET", path: /^\/api\/auth\/login$/, handler: ({ url }) => ({ authUrl: `${url.origin}/callback?code=mock` }) },
+    {
+      method: "POST", path: /^\/api\/auth\/logout$/, handler: () => {
+        state.loggedIn = false;
+        refresh();
+        return { success: true };
+      }
+    },
+    { method: "GET", path: /^\/api\/settings$/, handler: () => state.settings },
+    {
+      method: "POST", path: /^\/api\/settings$/, handler: ({ body }) => {
+        if (!body) throw new HttpError(400, "Invalid settings");
+        // Only known keys, like SettingsManager.UpdateFromDictionary
+        for (const key of Object.keys(body)) if (key in state.settings) state.settings[key] = body[key];
+        return { success: true };
+      }
+    },
+    {
+      method: "POST", path: /^\/api\/settings\/delete-scores$/, handler: () => {
+        state.plays = [];
+        refresh();
+        return { success: true };
+      }
+    },
+    { method: "POST", path: /^\/api\/settings\/delete-beatmaps$/, handler: () => ({ success: true }) },
+    {
+      method: "POST", path: /^\/api\/data\/delete-zero$/, handler: () => {
+        const before = state.plays.length;
+        state.plays = state.plays.filter(p => p.score > 0);
+        refresh();
+        return { success: true, deleted: before - state.plays.length };
+      }
+    },
+    { method: "POST", path: /^\/api\/import\/(lazer|stable)$/, handler: ({ params: [source] }) => importNothing(source) },
+    { method: "GET", path: /^\/api\/browse\/([^/]+)$/, handler: () => ({ path: null }) },
+    { method: "GET", path: /^\/api\/update$/, handler: () => ({ available: false, latestVersion: "", downloadUrl: "", zipUrl: "" }) },
+    { method: "POST", path: /^\/api\/update\/install$/, handler: () => ({ success: false }) },
+    {
+      method: "DELETE", path: /^\/api\/play\/(\d+)$/, handler: ({ params: [id] }) => {
+        playById(id);
+        state.plays = state.plays.filter(p => p.id !== Number(id));
+        refresh();
+        return { success: true };
+      }
+    },
+    {
+      method: "POST", path: /^\/api\/play\/(\d+)\/notes$/, handler: ({ params: [id], body }) => {
+        playById(id).notes = String(body?.notes ?? "");
+        return { success: true };
+      }
+    },
+    // Fixture plays have no replay or beatmap files behind them
+    { method: "GET", path: /^\/api\/play\/(\d+)\/rewind$/, handler: ({ params: [id] }) => { playById(id); throw notFound("Replay not found"); } },
+    { method: "GET", path: /^\/api\/rewind\/osr$/, handler: () => { throw notFound("Replay not found"); } },
+    { method: "POST", path: /^\/api\/rewind\/pp$/, handler: () => ({ pp: 0 }) },
+    {
+      method: "POST", path: /^\/api\/rewind\/cursor-offsets$/, handler: ({ body }) => {
+        if (!body?.scoreId || !body?.offsets) throw new HttpError(400, "Invalid payload");
+        playById(body.scoreId).cursorOffsetsJson = JSON.stringify(body.offsets);
+        return { success: true };
+      }
+    },
+    { method: "GET", path: /^\/api\/rewind\/skins$/, handler: () => existsSync(SKINS_ROOT) ? readdirSync(SKINS_ROOT).filter(d => statSync(join(SKINS_ROOT, d)).isDirectory()) : [] },
+    { method: "GET", path: /^\/api\/rewind\/skin-manifest$/, handler: ({ url }) => skinManifest(url.searchParams.get("skin") || "-Fun3cL") },
+    { method: "GET", path: /^\/api\/rewind\/skin-files\/(.+)$/, handler: ({ params: [rel] }) => ({ file: findFileCaseInsensitive(SKINS_ROOT, decodeURIComponent(rel)) }) },
+    { method: "GET", path: /^\/api\/export\/csv$/, handler: () => ({ text: playsCsv(state.plays), contentType: "text/csv", headers: { "Content-Disposition": "attachment; filename=osugrind_export.csv" } }) },
+    { method: "GET", path: /^\/api\/background\/(.+)$/, handler: () => { throw notFound(); } },
+    { method: "GET", path: /^\/rewind\/file$/, handler: () => { throw notFound(); } },
+    {
+      method: "GET", path: /^\/callback$/, handler: ({ url }) => {
+        if (!url.searchParams.get("code")) throw new HttpError(400, "Code missing");
+        state.loggedIn = true;
+        refresh();
+        return { text: "<html><body><h1>Login Successful!</h1><p>Mock login complete.</p></body></html>", contentType: "text/html" };
+      }
+    },
+    // Dev-only controls for the replay
+    { method: "GET", path: /^\/mock\/sessions$/, handler: () => ({ sessions: listSessions(sessionsDir), current: replay.running ? replay.name : null }) },
+    // Recordings by name, for the WebUI's ?replay=/mock/sessions/<name> dev mode
+    { method: "GET", path: /^\/mock\/sessions\/([\w-]+)$/, handler: ({ params: [name] }) => loadSession(name, sessionsDir) },
+    {
+      method: "POST", path: /^\/mock\/replay$/, handler: ({ url }) => {
+        const speed = parseFloat(url.searchParams.get("speed"));
+        const name = url.searchParams.get("session");
+        if (name && !SESSION_NAME.test(name)) throw new HttpError(400, "Invalid session name");
+        return startReplay(name || replay.name, {
+          speed: speed > 0 ? speed : undefined,
+          loop: url.searchParams.has("loop") ? url.searchParams.get("loop") !== "false" : undefined
+        }) ?? { error: "No session selected" };
+      }
+    },
+    {
+      method: "POST", path: /^\/mock\/stop$/, handler: () => {
+        stopReplay();
+        return { success: true };
+      }
+    }
+  ];
+
+  // Imports find nothing new, but walk through the same progress events as ApiServer
+  function importNothing(source) {
+    broadcast("import_progress", { source, phase: "started" });
+    broadcast("import_progress", { source, phase: "completed", added: 0, skipped: 0 });
+    refresh();
+    return { success: true, count: 0, skipped: 0 };
+  }
+
+  function skinManifest(skinName) {
+    let dir = join(SKINS_ROOT, skinName);
+    if (!existsSync(dir)) dir = join(SKINS_ROOT, "-Fun3cL");
+    if (!existsSync(dir)) throw notFound("Skin not found");
+    const files = [];
+    const walk = (d, prefix) => {
+      for (const entry of readdirSync(d, { withFileTypes: true })) {
+        if (entry.isDirectory()) walk(join(d, entry.name), `${prefix}${entry.name}/`);
+        else files.push(`${prefix}${entry.name}`.toLowerCase());
+      }
+    };
+    walk(dir, "");
+    return { skin: dir.split(sep).pop(), files };
+  }
+
+  const server = createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") return res.writeHead(200).end();
+
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    try {
+      const isApi = url.pathname.startsWith("/api/") || url.pathname.startsWith("/mock/") || url.pathname === "/callback" || url.pathname === "/rewind/file";
+      if (!isApi) return sendFile(res, staticPath(url.pathname));
+
+      const matches = ROUTES.filter(r => r.path.test(url.pathname));
+      if (!matches.length) throw notFound();
+      const route = matches.find(r => r.method === req.method);
+      if (!route) throw new HttpError(405, "Method not allowed");
+
+      const result = await route.handler({ req, url, params: url.pathname.match(route.path).slice(1), body: await readJson(req) });
+      if (result?.file) return sendFile(res, result.file);
+      if (result?.text !== undefined) {
+        res.writeHead(200, { "Content-Type": result.contentType, ...result.headers });
+        return res.end(result.text);
+      }
+      sendJson(res, result);
+    } catch (error) {
+      sendJson(res, { error: error.message }, error instanceof HttpError ? error.status : 500);
+    }
+  });
+
+  server.on("upgrade", (req, socket) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/ws/live") return socket.destroy();
+    const client = acceptWebSocket(req, socket);
+    if (!client) return;
+
+    client.send(message("hello", { protocol: LIVE_PROTOCOL_VERSION, app: MOCK_APP_VERSION }));
+    clients.add(client);
+    client.on("close", () => clients.delete(client));
+    // Heartbeats from api.js (user-level pings, not WebSocket control frames)
+    client.on("message", (text) => {
+      try {
+        const incoming = JSON.parse(text);
+        if (incoming?.type === "ping") client.send(message("pong", incoming.data ?? {}));
+      } catch { }
+    });
+    if (!replay.running && replay.name) startReplay();
+  });
+
+  return {
+    server,
+    state,
+    clients,
+    broadcast,
+    startReplay,
+    stopReplay,
+    listen(port = 7777, host = "127.0.0.1") {
+      return new Promise((resolveListen) => server.listen(port, host, () => resolveListen(`http://${host}:${server.address().port}`)));
+    },
+    close() {
+      stopReplay();
+      for (const client of clients) client.close(1001);
+      const closed = new Promise((resolveClose) => server.close(() => resolveClose()));
+      server.closeAllConnections();
+      return closed;
+    }
+  };
+}
+
+// ═══ HTTP helpers ═══
+
+function sendJson(res, data, status = 200) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data ?? null));
+}
+
+function sendFile(res, path) {
+  if (!path || !existsSync(path) || !statSync(path).isFile()) return sendJson(res, { error: "Not found" }, 404);
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[extname(path).toLowerCase()] || "application/octet-stream" });
+  res.end(readFileSync(path));
+}
+
+// Resolves a URL path inside WebUI/, refusing anything that climbs out of it
+function staticPath(pathname) {
+  const rel = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+  const path = resolve(WEB_ROOT, `.${rel}`);
+  if (path !== WEB_ROOT && !path.startsWith(WEB_ROOT + sep)) return null;
+  return existsSync(path) && statSync(path).isDirectory() ? join(path, "index.html") : path;
+}
+
+// Skin lookups are case-insensitive on Windows, where the desktop app serves them from
+function findFileCaseInsensitive(root, rel) {
+  let current = root;
+  for (const part of rel.split(/[\\/]+/).filter(Boolean)) {
+    if (part === "..") return null;
+    if (!existsSync(current) || !statSync(current).isDirectory()) return null;
+    const match = readdirSync(current).find(name => name.toLowerCase() === part.toLowerCase());
+    if (!match) return null;
+    current = join(current, match);
+  }
+  return current;
+}
+
+async function readJson(req) {
+  if (req.method === "GET" || req.method === "HEAD") return null;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "Invalid JSON");
+  }
+}
+
+// ═══ CLI ═══
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "7777" },
+      host: { type: "string", default: "127.0.0.1" },
+      session: { type: "string" },
+      speed: { type: "string", default: "1" },
+      loop: { type: "boolean", default: false }
+    }
+  });
+  const mock = createMockServer({ session: values.session ?? null, speed: parseFloat(values.speed) || 1, loop: values.loop });
+  const url = await mock.listen(parseInt(values.port), values.host);
+  console.log(`[mock] OsuGrind WebUI on ${url}/ (${mock.state.plays.length} fixture plays)`);
+  console.log(`[mock] Sessions: ${listSessions().join(", ") || "none"}${values.session ? ` | replaying ${values.session} at ${values.speed}x${values.loop ? ", looped" : ""}` : ""}`);
+  process.on("SIGINT", () => mock.close().then(() => process.exit(0)));
+}
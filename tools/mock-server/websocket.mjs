@@ -0,0 +1,132 @@
+// Just enough RFC 6455 for /ws/live: the upgrade handshake, unmasked text frames out, masked frames in,
+// and the close/ping control frames. No extensions, no binary messages.
+
+import { createHash } from "node:crypto";
+import { EventEmitter } from "node:events";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/** One accepted connection. Emits "message" (text) and "close". */
+export class LiveSocket extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.closed());
+    socket.on("error", () => socket.destroy());
+  }
+
+  send(text) {
+    if (this.open) this.socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(text)));
+  }
+
+  close(code = 1000) {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.end(encodeFrame(OPCODE.CLOSE, payload));
+    this.closed();
+  }
+
+  closed() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit("close");
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+      this.frame(fin, opcode, payload);
+    }
+  }
+
+  frame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODE.TEXT:
+      case OPCODE.CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.emit("message", text);
+        }
+        break;
+      case OPCODE.PING:
+        if (this.open) this.socket.write(encodeFrame(OPCODE.PONG, payload));
+        break;
+      case OPCODE.CLOSE:
+        this.close();
+        break;
+    }
+  }
+}
+
+/** Completes the upgrade for a request on the server's "upgrade" event; returns null (and a 400) otherwise. */
+export function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+  const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    ""
+  ].join("\r\n"));
+  return new LiveSocket(socket);
+}